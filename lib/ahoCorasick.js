@@ -0,0 +1,111 @@
+/**
+ * Aho–Corasick法による複数パターン照合
+ * 全パターンを一つのオートマトンにまとめ、文章を一度走査するだけで
+ * すべての一致（重なりを含む）を見つける
+ */
+export class AhoCorasick {
+  constructor() {
+    // ノード0が根。children は文字 → ノード番号
+    this.children = [new Map()];
+    this.fail = [0];
+    this.outputs = [[]];
+    this.built = false;
+  }
+
+  /**
+   * パターンを追加
+   * @param {string} pattern 照合する文字列
+   * @param {*} value 一致時に返す値
+   */
+  add(pattern, value) {
+    if (!pattern) return;
+
+    let node = 0;
+    for (const char of pattern) {
+      let next = this.children[node].get(char);
+      if (next === undefined) {
+        next = this.children.length;
+        this.children.push(new Map());
+        this.fail.push(0);
+        this.outputs.push([]);
+        this.children[node].set(char, next);
+      }
+      node = next;
+    }
+    this.outputs[node].push({ pattern, length: pattern.length, value });
+    this.built = false;
+  }
+
+  /**
+   * 失敗遷移を構築（パターン追加後に一度だけ呼ぶ）
+   * @returns {AhoCorasick} 自身
+   */
+  build() {
+    const queue = [];
+    for (const child of this.children[0].values()) {
+      this.fail[child] = 0;
+      queue.push(child);
+    }
+
+    for (let head = 0; head < queue.length; head++) {
+      const node = queue[head];
+      for (const [char, child] of this.children[node]) {
+        let state = this.fail[node];
+        while (state !== 0 && !this.children[state].has(char)) {
+          state = this.fail[state];
+        }
+        const target = this.children[state].get(char);
+        this.fail[child] = target !== undefined && target !== child ? target : 0;
+        // 接尾辞として含まれるパターンも出力する
+        this.outputs[child] = this.outputs[child].concat(this.outputs[this.fail[child]]);
+        queue.push(child);
+      }
+    }
+
+    this.built = true;
+    return this;
+  }
+
+  /**
+   * 文章中のすべての一致を探す
+   * @param {string} text 対象の文章
+   * @returns {Array} 一致一覧 { start, end, pattern, value }（終了位置順）
+   */
+  search(text) {
+    if (!this.built) {
+      this.build();
+    }
+
+    const matches = [];
+    let node = 0;
+    let position = 0;
+
+    for (const char of text) {
+      position += char.length;
+
+      while (node !== 0 && !this.children[node].has(char)) {
+        node = this.fail[node];
+      }
+      node = this.children[node].get(char) ?? 0;
+
+      for (const output of this.outputs[node]) {
+        matches.push({
+          start: position - output.length,
+          end: position,
+          pattern: output.pattern,
+          value: output.value
+        });
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * 登録済みのノード数
+   * @returns {number} ノード数
+   */
+  get size() {
+    return this.children.length;
+  }
+}
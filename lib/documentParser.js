@@ -1,5 +1,8 @@
 import JSZip from 'jszip';
 import { DocumentFormatter } from './docxFormatter.js';
+import { loadStoryParts } from './docxStoryParts.js';
+import { DocxBlockExtractor } from './docxBlockExtractor.js';
+import { XlsxTextModel, loadWorksheets } from './xlsxTextModel.js';
 
 export class DocumentParser {
   
@@ -85,26 +88,29 @@ export class DocumentParser {
 
   /**
    * DOCXファイルの解析
+   * 本文（テキストボックスを含む）のあとに、ヘッダー・フッター・脚注・文末脚注の文章を続ける
+   * 段落は改行、表のセルはタブ・行は改行で区切り、メタデータの blocks に段落・見出し・箇条書き・表（行・セル）の
+   * IDと文章の範囲（start・end）、parts に各パートの範囲を記録する
    */
   async parseDocx(buffer) {
     try {
       const zip = new JSZip();
       const zipContent = await zip.loadAsync(buffer);
       
-      // document.xmlからテキストを抽出
-      const documentXml = await zipContent.file('word/document.xml')?.async('text');
-      if (!documentXml) {
-        throw new Error('document.xmlが見つかりません');
-      }
+      // 本文・ヘッダー・フッター・脚注・文末脚注のXMLを取得
+      const storyParts = await loadStoryParts(zipContent);
 
-      // XMLからテキストを抽出（表構造も保持）
-      const textWithTables = this.extractTextWithTables(documentXml);
+      // XMLから段落・表のブロックと文章を抽出
+      const stylesXml = await zipContent.file('word/styles.xml')?.async('text');
+      const { text, blocks, parts } = new DocxBlockExtractor(stylesXml).extract(storyParts);
       
       // メタデータ解析
       const metadata = await this.extractDocxMetadata(zipContent);
+      metadata.parts = parts;
+      metadata.blocks = blocks;
 
       return {
-        text: textWithTables,
+        text,
         metadata
       };
     } catch (error) {
@@ -112,61 +118,6 @@ export class DocumentParser {
     }
   }
 
-  /**
-   * XMLからテキストと表構造を抽出（フォーマット保持）
-   */
-  extractTextWithTables(xml) {
-    let result = '';
-    
-    // 表の解析
-    const tableMatches = xml.match(/<w:tbl[^>]*>.*?<\/w:tbl>/gs) || [];
-    let processedXml = xml;
-    
-    tableMatches.forEach((tableXml, index) => {
-      const tableText = this.parseTableStructure(tableXml);
-      // 表を一時的なプレースホルダーに置換
-      processedXml = processedXml.replace(tableXml, `__TABLE_${index}__`);
-      // 後で復元するために記録
-      processedXml += `<!-- TABLE_${index}: ${tableText.replace(/\n/g, '\\n')} -->`;
-    });
-
-    // 通常のテキストを抽出
-    let text = processedXml.replace(/<[^>]+>/g, ' ')
-                          .replace(/\s+/g, ' ')
-                          .trim();
-
-    // 表のプレースホルダーを復元
-    tableMatches.forEach((tableXml, index) => {
-      const tableText = this.parseTableStructure(tableXml);
-      text = text.replace(`__TABLE_${index}__`, `\\n\\n${tableText}\\n\\n`);
-    });
-
-    return text.replace(/\\n/g, '\\n');
-  }
-
-  /**
-   * 表構造の解析
-   */
-  parseTableStructure(tableXml) {
-    const rows = tableXml.match(/<w:tr[^>]*>.*?<\/w:tr>/gs) || [];
-    let tableText = '';
-    
-    rows.forEach(rowXml => {
-      const cells = rowXml.match(/<w:tc[^>]*>.*?<\/w:tc>/gs) || [];
-      const rowData = cells.map(cellXml => {
-        return cellXml.replace(/<[^>]+>/g, ' ')
-                      .replace(/\s+/g, ' ')
-                      .trim();
-      });
-      
-      if (rowData.length > 0) {
-        tableText += rowData.join('\\t') + '\\n';
-      }
-    });
-    
-    return tableText;
-  }
-
   /**
    * DOCXメタデータ抽出
    */
@@ -184,6 +135,8 @@ export class DocumentParser {
         metadata.tables = (documentXml.match(/<w:tbl[^>]*>/g) || []).length;
         // 段落の数
         metadata.paragraphs = (documentXml.match(/<w:p[^>]*>/g) || []).length;
+        // テキストボックスの数（代替表示の複製は数えない）
+        metadata.textboxes = (documentXml.replace(/<mc:Fallback(?:\s[^>]*)?>[\s\S]*?<\/mc:Fallback>/g, '').match(/<w:txbxContent>/g) || []).length;
       }
     } catch (error) {
       console.warn('メタデータ取得エラー:', error);
@@ -194,34 +147,26 @@ export class DocumentParser {
 
   /**
    * XLSXファイルの解析
+   * ワークシートをブックの順に、セルの文字を行の中はタブ・行は改行・シートの間は空行で区切って取り出す
+   * （共有文字列・インライン文字列・数値。ふりがなは含めない）。メタデータの parts に各シートの範囲、
+   * cellIndex にセルの番地と文字数（校正APIで指摘にシート名・セル番地を付けるための索引）を記録する
    */
   async parseXlsx(buffer) {
     try {
       const zip = new JSZip();
       const zipContent = await zip.loadAsync(buffer);
       
-      // shared strings を読み込み
+      // ワークシート（ブックの順）と共有文字列を読み込み
+      const worksheets = await loadWorksheets(zipContent);
       const sharedStringsXml = await zipContent.file('xl/sharedStrings.xml')?.async('text');
-      const sharedStrings = this.parseSharedStrings(sharedStringsXml);
-      
-      // ワークシートデータを読み込み
-      let allText = '';
-      const sheets = Object.keys(zipContent.files).filter(name => 
-        name.startsWith('xl/worksheets/sheet') && name.endsWith('.xml')
-      );
-      
-      for (const sheetPath of sheets) {
-        const sheetXml = await zipContent.file(sheetPath)?.async('text');
-        if (sheetXml) {
-          const sheetText = this.parseWorksheet(sheetXml, sharedStrings);
-          allText += sheetText + '\\n\\n';
-        }
-      }
+      const model = new XlsxTextModel(sharedStringsXml, worksheets);
       
       return {
-        text: allText.trim(),
+        text: model.text,
         metadata: {
-          sheets: sheets.length
+          sheets: worksheets.length,
+          parts: model.getSheets(),
+          cellIndex: model.getCellIndex()
         }
       };
     } catch (error) {
@@ -229,73 +174,6 @@ export class DocumentParser {
     }
   }
 
-  /**
-   * Shared Stringsの解析
-   */
-  parseSharedStrings(xml) {
-    if (!xml) return [];
-    
-    const strings = [];
-    const matches = xml.match(/<si[^>]*>.*?<\/si>/gs) || [];
-    
-    matches.forEach(match => {
-      const text = match.replace(/<[^>]+>/g, '').trim();
-      strings.push(text);
-    });
-    
-    return strings;
-  }
-
-  /**
-   * ワークシートの解析
-   */
-  parseWorksheet(xml, sharedStrings) {
-    const cells = xml.match(/<c[^>]*>.*?<\/c>/gs) || [];
-    const rows = {};
-    
-    cells.forEach(cellXml => {
-      const rMatch = cellXml.match(/r="([A-Z]+\d+)"/);
-      const tMatch = cellXml.match(/t="([^"]+)"/);
-      const vMatch = cellXml.match(/<v[^>]*>([^<]+)<\/v>/);
-      
-      if (rMatch && vMatch) {
-        const cellRef = rMatch[1];
-        const cellType = tMatch ? tMatch[1] : '';
-        let cellValue = vMatch[1];
-        
-        // 共有文字列の参照の場合
-        if (cellType === 's') {
-          const index = parseInt(cellValue, 10);
-          cellValue = sharedStrings[index] || '';
-        }
-        
-        // 行番号を抽出
-        const rowNum = parseInt(cellRef.match(/\d+/)[0], 10);
-        if (!rows[rowNum]) rows[rowNum] = {};
-        
-        // 列位置を抽出
-        const col = cellRef.match(/[A-Z]+/)[0];
-        rows[rowNum][col] = cellValue;
-      }
-    });
-    
-    // 行を順序よく並べる
-    let result = '';
-    const sortedRowNums = Object.keys(rows).map(n => parseInt(n, 10)).sort((a, b) => a - b);
-    
-    sortedRowNums.forEach(rowNum => {
-      const row = rows[rowNum];
-      const sortedCols = Object.keys(row).sort();
-      const values = sortedCols.map(col => row[col]).filter(val => val);
-      
-      if (values.length > 0) {
-        result += values.join('\\t') + '\\n';
-      }
-    });
-    
-    return result;
-  }
-
   /**
    * テキストファイルの解析
    */
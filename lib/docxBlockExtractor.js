@@ -0,0 +1,200 @@
+import { DocxTextModel } from './docxTextModel.js';
+
+// 表・行・セル・テキストボックスの開始と終了、図形の代替表示（<mc:Fallback>）のタグ
+const STRUCTURE_PATTERN = /<w:tbl(?:\s[^>]*)?>|<\/w:tbl>|<w:tr(?:\s[^>]*)?>|<\/w:tr>|<w:tc(?:\s[^>]*)?>|<\/w:tc>|<w:txbxContent(?:\s[^>]*)?>|<\/w:txbxContent>|<mc:Fallback(?:\s[^>]*)?>|<\/mc:Fallback>/g;
+
+/**
+ * DOCXの文章を、段落・見出し・箇条書き・表（行・セル）のブロックの並びとして取り出す
+ * 段落は改行、表のセルはタブ、行は改行で区切った文章を作り、ブロックごとに文章の範囲（start・end）と
+ * 変わらないID（p14・t2-r3-c1）を付ける。spans は文章の範囲と段落（DocxTextModel の段落）の対応で、
+ * 校正後の書き戻しで変更の位置から段落を求めるのに使う
+ */
+export class DocxBlockExtractor {
+  /**
+   * @param {string|undefined} stylesXml styles.xml（見出しのスタイルの判定に使う）
+   */
+  constructor(stylesXml) {
+    this.headingStyles = this.loadHeadingStyles(stylesXml || '');
+  }
+
+  /**
+   * 文章を含むパートからブロックを取り出す
+   * @param {Array} storyParts パート { path, type, label, xml }（loadStoryParts() の戻り値）
+   * @returns {Object} { text, blocks, parts: パートの範囲 { path, type, label, start, end }, spans: { start, end, part, paragraph } }
+   */
+  extract(storyParts) {
+    const result = { text: '', blocks: [], parts: [], spans: [] };
+
+    storyParts.forEach((part, partIndex) => {
+      const model = new DocxTextModel(part.xml);
+      if (part.type !== 'document' && !model.paragraphs.some(paragraph => paragraph.text.trim())) return;
+
+      // パートの間は空行で区切る
+      if (part.type !== 'document') result.text += '\n';
+      const start = result.text.length;
+      this.extractPart(part, partIndex, model, result);
+      result.parts.push({ path: part.path, type: part.type, label: part.label, start, end: result.text.length });
+    });
+    return result;
+  }
+
+  /**
+   * 一つのパートのブロックを取り出す
+   * 段落と表のタグを文書の順にたどり、段落は最も内側のセル・テキストボックスに属させる
+   * @param {Object} part パート { path, type, label, xml }
+   * @param {number} partIndex パートの番号
+   * @param {DocxTextModel} model パートの段落
+   * @param {Object} result 結果（text・blocks・spans に追加する）
+   */
+  extractPart(part, partIndex, model, result) {
+    const events = model.paragraphs.map(paragraph => ({ position: paragraph.start, paragraph }));
+    let skipDepth = 0;
+    for (const match of part.xml.matchAll(STRUCTURE_PATTERN)) {
+      const tag = match[0];
+      if (tag.startsWith('<mc:Fallback')) skipDepth++;
+      else if (tag === '</mc:Fallback>') skipDepth = Math.max(skipDepth - 1, 0);
+      else if (skipDepth === 0) events.push({ position: match.index, tag });
+    }
+    events.sort((a, b) => a.position - b.position);
+
+    const prefix = part.type === 'document' ? { id: '', label: '' } : { id: `${part.path.replace(/^.*\//, '').replace(/\.xml$/, '')}-`, label: `${part.label} ` };
+    const counts = { paragraph: 0, table: 0, textbox: 0 };
+    const containers = [];
+    const current = () => containers[containers.length - 1];
+
+    for (const { position, tag, paragraph } of events) {
+      if (paragraph) {
+        // 本文以外（ヘッダー・脚注の区切り線など）の空の段落は文章に含めない
+        if (part.type !== 'document' && !paragraph.text) continue;
+        this.addParagraph(part, partIndex, paragraph, current(), prefix, counts, result);
+      } else if (tag.startsWith('<w:tbl')) {
+        const number = ++counts.table;
+        const table = { id: `${prefix.id}t${number}`, type: 'table', label: `${prefix.label}表${number}`, start: result.text.length, end: null, rows: [] };
+        result.blocks.push(table);
+        containers.push({ kind: 'table', table });
+      } else if (tag === '</w:tbl>') {
+        const container = containers.pop();
+        if (container?.kind === 'table') container.table.end = result.text.length;
+      } else if (tag.startsWith('<w:tr')) {
+        const container = current();
+        if (container?.kind !== 'table') continue;
+        container.table.rows.push({ index: container.table.rows.length + 1, cells: [] });
+        container.column = 1;
+      } else if (tag === '</w:tr>') {
+        if (current()?.kind === 'table' && current().table.rows.length > 0) result.text += '\n';
+      } else if (tag.startsWith('<w:tc')) {
+        const container = current();
+        const row = container?.kind === 'table' ? container.table.rows.at(-1) : null;
+        if (!row) continue;
+        if (row.cells.length > 0) result.text += '\t';
+        // 横に結合したセルは結合した列の数だけ進める（列番号は表の格子の位置）
+        const span = Number(/^<w:tc(?:\s[^>]*)?>\s*<w:tcPr>(?:(?!<\/w:tcPr>)[\s\S])*?<w:gridSpan w:val="(\d+)"/.exec(part.xml.slice(position))?.[1]) || 1;
+        const cell = {
+          id: `${container.table.id}-r${row.index}-c${container.column}`,
+          label: `${container.table.label} 行${row.index} 列${container.column}`,
+          row: row.index,
+          column: container.column,
+          start: result.text.length,
+          end: null
+        };
+        container.column += span;
+        row.cells.push(cell);
+        containers.push({ kind: 'cell', cell, paragraphs: 0 });
+      } else if (tag === '</w:tc>') {
+        const container = containers.pop();
+        if (container?.kind === 'cell') container.cell.end = result.text.length;
+      } else if (tag.startsWith('<w:txbxContent')) {
+        containers.push({ kind: 'textbox', number: ++counts.textbox, paragraphs: 0 });
+      } else if (tag === '</w:txbxContent>') {
+        containers.pop();
+      }
+    }
+  }
+
+  /**
+   * 段落を文章とブロックに加える
+   * セルの中の段落は改行でつなぎ（セルの区切りはタブ）、それ以外の段落は一つのブロックにする
+   * @param {Object} part パート
+   * @param {number} partIndex パートの番号
+   * @param {Object} paragraph 段落（DocxTextModel の段落）
+   * @param {Object|undefined} container 段落を含むセル・テキストボックス
+   * @param {Object} prefix IDと表示名の接頭辞（本文以外のパート）
+   * @param {Object} counts 段落・表・テキストボックスの番号
+   * @param {Object} result 結果
+   */
+  addParagraph(part, partIndex, paragraph, container, prefix, counts, result) {
+    if (container?.kind === 'cell' && container.paragraphs++ > 0) result.text += '\n';
+    const start = result.text.length;
+    const end = start + paragraph.text.length;
+    result.spans.push({ start, end, part: partIndex, paragraph: paragraph.index });
+
+    if (container?.kind === 'cell') {
+      result.text += paragraph.text;
+      return;
+    }
+
+    result.text += paragraph.text + '\n';
+    if (container?.kind === 'textbox') {
+      const number = ++container.paragraphs;
+      result.blocks.push({
+        id: `${prefix.id}x${container.number}-p${number}`,
+        type: 'textbox',
+        label: `${prefix.label}テキストボックス${container.number} 段落${number}`,
+        start,
+        end
+      });
+      return;
+    }
+
+    const number = ++counts.paragraph;
+    const { type, level } = this.getParagraphKind(part.xml.slice(paragraph.start, paragraph.end));
+    const kind = type === 'heading' ? `（見出し${level}）` : type === 'listItem' ? '（箇条書き）' : '';
+    result.blocks.push({
+      id: `${prefix.id}p${number}`,
+      type,
+      ...(level ? { level } : {}),
+      label: `${prefix.label}段落${number}${kind}`,
+      start,
+      end
+    });
+  }
+
+  /**
+   * 段落の種類（見出し・箇条書き・段落）
+   * 見出しは段落スタイル（styles.xml の heading 1〜9・アウトラインレベル）か段落のアウトラインレベル、
+   * 箇条書きは段落番号（w:numPr）で判定する
+   * @param {string} paragraphXml 段落のXML
+   * @returns {Object} { type: 'heading'|'listItem'|'paragraph', level }
+   */
+  getParagraphKind(paragraphXml) {
+    const pPr = /^<w:p(?:\s[^>]*)?>\s*<w:pPr>([\s\S]*?)<\/w:pPr>/.exec(paragraphXml)?.[1] || '';
+    const style = /<w:pStyle w:val="([^"]*)"/.exec(pPr)?.[1];
+    const outline = /<w:outlineLvl w:val="(\d)"/.exec(pPr)?.[1];
+
+    const level = outline !== undefined && Number(outline) < 9 ? Number(outline) + 1 : this.headingStyles.get(style);
+    if (level) return { type: 'heading', level };
+
+    if (/<w:numPr>/.test(pPr)) {
+      const listLevel = Number(/<w:ilvl w:val="(\d+)"/.exec(pPr)?.[1] || 0) + 1;
+      return { type: 'listItem', level: listLevel };
+    }
+    return { type: 'paragraph', level: null };
+  }
+
+  /**
+   * 見出しの段落スタイルと見出しレベル（スタイルIDは日本語版では「1」などになるため、スタイル名で判定する）
+   * @param {string} stylesXml styles.xml
+   * @returns {Map} スタイルID → 見出しレベル（1〜9）
+   */
+  loadHeadingStyles(stylesXml) {
+    const styles = new Map();
+    for (const match of stylesXml.matchAll(/<w:style\s[^>]*w:type="paragraph"[^>]*>[\s\S]*?<\/w:style>/g)) {
+      const id = /w:styleId="([^"]*)"/.exec(match[0])?.[1];
+      const name = /<w:name w:val="heading (\d)"/i.exec(match[0])?.[1];
+      const outline = /<w:outlineLvl w:val="(\d)"/.exec(match[0])?.[1];
+      const level = name ? Number(name) : outline !== undefined && Number(outline) < 9 ? Number(outline) + 1 : null;
+      if (id && level) styles.set(id, level);
+    }
+    return styles;
+  }
+}
@@ -1,27 +1,20 @@
 import JSZip from 'jszip';
 import fs from 'fs';
 import * as XLSX from 'xlsx';
+import { DocxTextModel, encodeXml } from './docxTextModel.js';
+import { loadStoryParts } from './docxStoryParts.js';
+import { DocxBlockExtractor } from './docxBlockExtractor.js';
+import { XlsxTextModel, loadWorksheets } from './xlsxTextModel.js';
+
+// 変更履歴・コメントとして出力する場合の作成者
+export const REVISION_AUTHOR = '校正システム';
+const REVISION_INITIALS = '校正';
+
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const COMMENTS_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.comments+xml';
+const COMMENTS_RELATIONSHIP = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/comments';
 
 export class DocumentFormatter {
-  
-  /**
-   * ファイル形式に応じて校正済みファイルを生成
-   * @param {Buffer} originalBuffer 元のファイル
-   * @param {string} originalText 元のテキスト
-   * @param {string} correctedText 校正後のテキスト
-   * @param {Array} changes 変更箇所一覧
-   * @param {string} fileExtension ファイル拡張子
-   * @returns {Promise<Buffer>} 校正後のファイル
-   */
-  async generateCorrectedFile(originalBuffer, originalText, correctedText, changes, fileExtension) {
-    if (fileExtension === 'docx') {
-      return await this.generateCorrectedDocx(originalBuffer, originalText, correctedText, changes);
-    } else if (fileExtension === 'xlsx') {
-      return await this.generateCorrectedXlsx(originalBuffer, originalText, correctedText, changes);
-    } else {
-      throw new Error(`サポートされていないファイル形式です: ${fileExtension}`);
-    }
-  }
 
   /**
    * DOCXファイルの構造を保持して校正テキストを適用
@@ -29,30 +22,40 @@ export class DocumentFormatter {
    * @param {string} originalText 元のテキスト
    * @param {string} correctedText 校正後のテキスト
    * @param {Array} changes 変更箇所一覧
-   * @returns {Promise<Buffer>} 校正後のDOCXファイル
+   * @param {Object} options オプション
+   * @param {FuriganaAnnotator} options.furigana 本文の漢字にふりがなを付ける場合に指定
+   * @param {boolean} options.trackChanges 変更を変更履歴（挿入・削除）として書く場合true
+   * @returns {Promise<Object>} { buffer: 校正後のDOCXファイル, unapplied: 適用できなかった変更, parts: 変更したパート }
    */
-  async generateCorrectedDocx(originalBuffer, originalText, correctedText, changes) {
+  async generateCorrectedDocx(originalBuffer, originalText, correctedText, changes, options = {}) {
     try {
       // 元のDOCXファイルを解析
       const zip = new JSZip();
       const zipContent = await zip.loadAsync(originalBuffer);
       
-      // document.xmlを取得
-      const documentXml = await zipContent.file('word/document.xml')?.async('text');
-      if (!documentXml) {
-        throw new Error('document.xmlが見つかりません');
-      }
+      // 本文・ヘッダー・フッター・脚注・文末脚注のXMLを取得
+      const storyParts = await loadStoryParts(zipContent);
 
       // XMLに校正テキストを適用
-      const correctedXml = await this.applyCorrectionToXml(
-        documentXml, 
-        originalText, 
-        correctedText, 
-        changes
-      );
+      const { xmls, unapplied, parts } = this.applyCorrectionToParts(storyParts, originalText, changes, options);
+
+      // 校正後の文章にふりがなを付ける
+      if (options.furigana) {
+        const stylesXml = await zipContent.file('word/styles.xml')?.async('text');
+        const defaultSize = this.getDefaultFontSize(stylesXml);
+        let count = 0;
+        for (const [path, correctedXml] of xmls) {
+          const result = options.furigana.annotateXml(correctedXml, defaultSize);
+          xmls.set(path, result.xml);
+          count += result.count;
+        }
+        console.log('ふりがな:', { target: options.furigana.target, count });
+      }
 
-      // 新しいdocument.xmlを設定
-      zipContent.file('word/document.xml', correctedXml);
+      // 変更のあったパートを設定
+      storyParts
+        .filter(part => xmls.get(part.path) !== part.xml)
+        .forEach(part => zipContent.file(part.path, xmls.get(part.path)));
 
       // 校正後のDOCXファイルを生成
       const correctedBuffer = await zipContent.generateAsync({ 
@@ -61,7 +64,7 @@ export class DocumentFormatter {
         compressionOptions: { level: 6 }
       });
 
-      return correctedBuffer;
+      return { buffer: correctedBuffer, unapplied, parts };
 
     } catch (error) {
       console.error('DOCX生成エラー:', error);
@@ -70,74 +73,263 @@ export class DocumentFormatter {
   }
 
   /**
-   * XMLに校正結果を適用（全文置換方式）
+   * 文書の既定の文字の大きさ（styles.xml の docDefaults、半ポイント）
+   * @param {string|undefined} stylesXml styles.xml
+   * @returns {number|undefined} 大きさ（指定がない場合undefined）
    */
-  async applyCorrectionToXml(xml, originalText, correctedText, changes) {
+  getDefaultFontSize(stylesXml) {
+    const defaults = /<w:rPrDefault>[\s\S]*?<\/w:rPrDefault>/.exec(stylesXml || '')?.[0] || '';
+    const size = /<w:sz w:val="(\d+)"/.exec(defaults);
+    return size ? Number(size[1]) : undefined;
+  }
+
+  /**
+   * 指摘をWordのコメントとして付けたDOCXを生成（本文は変更しない）
+   * コメントは変更前の表記の範囲に付け、本文にはカテゴリ・修正案・ルールの説明（note）を書く
+   * Wordはヘッダー・フッターのコメントを扱えないため、そこにある変更は適用できなかった変更として返す
+   * @param {Buffer} originalBuffer 元のDOCXファイル
+   * @param {string} originalText 元のテキスト（変更の位置の基準）
+   * @param {Array} changes 変更箇所一覧
+   * @returns {Promise<Object>} { buffer: コメントつきのDOCXファイル, unapplied: コメントを付けられなかった変更, parts: コメントを付けたパート }
+   */
+  async generateCommentedDocx(originalBuffer, originalText, changes) {
     try {
-      console.log('🔥🔥🔥 === XML校正適用開始 === 🔥🔥🔥');
-      console.log('🔥 元テキスト:', originalText);
-      console.log('🔥 校正後テキスト:', correctedText);
-      console.log('🔥 変更一覧:', JSON.stringify(changes, null, 2));
-
-      // **最重要**: 個別変更適用方式を最優先で使用
-      // これは確実に動作する方式
-      console.log('🔥 個別変更適用方式を実行');
-      
-      const textTagRegex = /<w:t[^>]*>([^<]*)<\/w:t>/g;
-      let correctedXml = xml;
-      
-      // 各変更を個別に適用
-      if (changes && Array.isArray(changes)) {
-        changes.forEach((change, index) => {
-          console.log(`変更${index + 1}: "${change.original}" → "${change.corrected}"`);
-          
-          // XMLの<w:t>タグ内のテキストのみを対象に置換
-          correctedXml = correctedXml.replace(textTagRegex, (match, textContent) => {
-            // エスケープした正規表現で確実に置換
-            const escapedOriginal = this.escapeRegExp(change.original);
-            const regex = new RegExp(escapedOriginal, 'g');
-            const newTextContent = textContent.replace(regex, change.corrected);
-            
-            if (newTextContent !== textContent) {
-              console.log(`✅ 置換成功: "${textContent}" → "${newTextContent}"`);
-            }
-            
-            return match.replace(textContent, newTextContent);
-          });
+      const zipContent = await new JSZip().loadAsync(originalBuffer);
+      const storyParts = await loadStoryParts(zipContent);
+      const commentsXml = await zipContent.file('word/comments.xml')?.async('text');
+
+      // コメントのIDは既存のコメント・ブックマークなどと重ならない値から振る
+      const story = this.createStory(storyParts, originalText);
+      const { entries } = story;
+      let id = Math.max(new DocxTextModel(commentsXml || '').getMaxId(), ...entries.map(entry => entry.model.getMaxId())) + 1;
+      const date = createRevisionDate();
+      const comments = [];
+      const unapplied = [];
+      const sorted = [...(changes || [])].sort((a, b) => (a.position?.start ?? 0) - (b.position?.start ?? 0));
+
+      for (const change of sorted) {
+        const reason = this.applyChange(story, originalText, change, (entry, paragraph, start, end) => {
+          if (entry.part.type === 'header' || entry.part.type === 'footer') return 'ヘッダー・フッターにはコメントを付けられません';
+          // 挿入は直前の1文字にコメントを付ける
+          if (start === end && start > 0) start--;
+          if (!entry.model.addComment(paragraph, start, end, id)) return false;
+          entry.count++;
+          return true;
         });
+        if (reason) {
+          unapplied.push({ id: change.id, original: change.original, corrected: change.corrected, reason });
+          continue;
+        }
+        comments.push(this.createComment(change, id++, date));
       }
 
-      // **二重安全策**: 元テキストと校正後テキストが短い場合は直接置換も実行
-      if (originalText && correctedText && originalText.length < 100) {
-        console.log('🔥 短文の場合の安全策も実行');
-        
-        correctedXml = correctedXml.replace(textTagRegex, (match, textContent) => {
-          // 完全一致の場合は校正後テキストで置換
-          if (textContent.trim() === originalText.trim()) {
-            console.log(`✅ 完全一致置換: "${textContent}" → "${correctedText}"`);
-            return match.replace(textContent, correctedText);
-          }
-          
-          // 部分一致でも安全に置換
-          const escapedOriginal = this.escapeRegExp(originalText.trim());
-          const regex = new RegExp(escapedOriginal, 'g');
-          const newTextContent = textContent.replace(regex, correctedText.trim());
-          
-          if (newTextContent !== textContent) {
-            console.log(`✅ 部分一致置換: "${textContent}" → "${newTextContent}"`);
-          }
-          
-          return match.replace(textContent, newTextContent);
-        });
+      const parts = entries.filter(entry => entry.count > 0).map(({ part, count }) => ({ path: part.path, label: part.label, count }));
+      console.log('コメント追加完了:', { changes: sorted.length, comments: comments.length, unapplied: unapplied.length, parts });
+      unapplied.forEach(change => console.warn(`コメントを付けられなかった変更: "${change.original}" → "${change.corrected}"（${change.reason}）`));
+
+      if (comments.length > 0) {
+        entries.filter(entry => entry.count > 0).forEach(({ part, model }) => zipContent.file(part.path, model.toXml()));
+        await this.addCommentsPart(zipContent, commentsXml, comments.join(''));
       }
 
-      console.log('✅ XML校正完了');
-      return correctedXml;
+      const buffer = await zipContent.generateAsync({
+        type: 'nodebuffer',
+        compression: 'DEFLATE',
+        compressionOptions: { level: 6 }
+      });
+      return { buffer, unapplied, parts };
 
     } catch (error) {
-      console.error('❌ XML校正適用エラー:', error);
-      throw error;
+      console.error('コメントつきDOCX生成エラー:', error);
+      throw new Error(`コメントつきDOCX生成に失敗しました: ${error.message}`);
+    }
+  }
+
+  /**
+   * 一つの変更のコメント（<w:comment>）を作る
+   * 1段落目に「【カテゴリ】「変更前」→「修正案」」（挿入は「「。」を挿入」）、ルールに説明があれば2段落目に書く
+   * @param {Object} change 変更 { original, corrected, rule }
+   * @param {number} id コメントのID
+   * @param {string} date 日時（ISO 8601）
+   * @returns {string} XML
+   */
+  createComment(change, id, date) {
+    const category = change.rule?.category || '校正';
+    const suggestion = !change.original
+      ? `「${change.corrected}」を挿入`
+      : change.corrected
+        ? `「${change.original}」→「${change.corrected}」`
+        : `「${change.original}」を削除`;
+    const lines = [`【${category}】${suggestion}`];
+    if (change.rule?.note) lines.push(change.rule.note);
+
+    const paragraphs = lines.map((line, index) => {
+      // 先頭の段落にはコメントの参照記号（annotationRef）を置く
+      const reference = index === 0 ? '<w:r><w:annotationRef/></w:r>' : '';
+      return `<w:p>${reference}<w:r><w:t xml:space="preserve">${encodeXml(line)}</w:t></w:r></w:p>`;
+    });
+    return `<w:comment w:id="${id}" w:author="${REVISION_AUTHOR}" w:date="${date}" w:initials="${REVISION_INITIALS}">${paragraphs.join('')}</w:comment>`;
+  }
+
+  /**
+   * コメントのパート（word/comments.xml）と、その content type・リレーションシップを追加する
+   * すでにコメントがある文書では、既存の comments.xml の末尾に加える
+   * @param {JSZip} zipContent DOCXのパッケージ
+   * @param {string|undefined} commentsXml 既存の comments.xml
+   * @param {string} comments 追加する <w:comment> のXML
+   */
+  async addCommentsPart(zipContent, commentsXml, comments) {
+    if (commentsXml) {
+      const updated = /<w:comments[^>]*\/>/.test(commentsXml)
+        ? commentsXml.replace(/<w:comments([^>]*)\/>/, `<w:comments$1>${comments}</w:comments>`)
+        : commentsXml.replace(/<\/w:comments>\s*$/, `${comments}</w:comments>`);
+      zipContent.file('word/comments.xml', updated);
+    } else {
+      zipContent.file('word/comments.xml',
+        `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\r\n<w:comments xmlns:w="${WORD_NAMESPACE}">${comments}</w:comments>`);
+    }
+
+    const contentTypes = await zipContent.file('[Content_Types].xml')?.async('text');
+    if (!contentTypes) {
+      throw new Error('[Content_Types].xmlが見つかりません');
+    }
+    if (!contentTypes.includes('PartName="/word/comments.xml"')) {
+      zipContent.file('[Content_Types].xml', contentTypes.replace('</Types>',
+        `<Override PartName="/word/comments.xml" ContentType="${COMMENTS_CONTENT_TYPE}"/></Types>`));
+    }
+
+    const relsPath = 'word/_rels/document.xml.rels';
+    const rels = await zipContent.file(relsPath)?.async('text') ||
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\r\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+    if (!rels.includes(`Type="${COMMENTS_RELATIONSHIP}"`)) {
+      const ids = [...rels.matchAll(/Id="rId(\d+)"/g)].map(match => Number(match[1]));
+      const rId = `rId${Math.max(0, ...ids) + 1}`;
+      zipContent.file(relsPath, rels.replace('</Relationships>',
+        `<Relationship Id="${rId}" Type="${COMMENTS_RELATIONSHIP}" Target="comments.xml"/></Relationships>`));
+    }
+  }
+
+  /**
+   * 文章を含むパートのXMLに校正結果を適用（段落単位）
+   * 段落内の <w:t> をつなげた文字で変更箇所を探すため、run の境界で分かれた語も置き換えられる
+   * 変更の位置から元の文章の段落を求めて置き換える（applyChange() を参照）
+   * @param {Array} storyParts パート { path, type, label, xml }（loadStoryParts() の戻り値）
+   * @param {string} originalText 元のテキスト（変更の位置の基準）
+   * @param {Array} changes 変更箇所一覧
+   * @param {Object} options オプション（trackChanges: 変更履歴として書く）
+   * @returns {Object} { xmls: パートごとの校正後のXML（Map）, unapplied: 適用できなかった変更 { id, original, corrected, reason }, parts: 変更したパート { path, label, count } }
+   */
+  applyCorrectionToParts(storyParts, originalText, changes, options = {}) {
+    const story = this.createStory(storyParts, originalText);
+    const { entries } = story;
+    const unapplied = [];
+    const sorted = [...(changes || [])].sort((a, b) => (a.position?.start ?? 0) - (b.position?.start ?? 0));
+
+    for (const change of sorted) {
+      const reason = this.applyChange(story, originalText, change);
+      if (reason) {
+        unapplied.push({ id: change.id, original: change.original, corrected: change.corrected, reason });
+      }
+    }
+
+    const parts = entries.filter(entry => entry.count > 0).map(({ part, count }) => ({ path: part.path, label: part.label, count }));
+    console.log('XML校正完了:', { changes: sorted.length, unapplied: unapplied.length, trackChanges: Boolean(options.trackChanges), parts });
+    unapplied.forEach(change => console.warn(`適用できなかった変更: "${change.original}" → "${change.corrected}"（${change.reason}）`));
+
+    // 変更履歴のIDはパートをまたいで重ならないように振る
+    let revisionId = Math.max(...entries.map(entry => entry.model.getMaxId())) + 1;
+    const revision = options.trackChanges
+      ? { author: REVISION_AUTHOR, date: createRevisionDate(), nextId: () => revisionId++ }
+      : null;
+    const xmls = new Map(entries.map(({ part, model }) => [part.path, model.toXml(revision)]));
+    return { xmls, unapplied, parts };
+  }
+
+  /**
+   * パートごとの段落と、元の文章の位置から段落への対応を用意する
+   * 元の文章が文書から抽出した文章（DocxBlockExtractor）と同じ場合だけ、位置の対応（spans）を使う
+   * @param {Array} storyParts パート { path, type, label, xml }
+   * @param {string} originalText 元のテキスト
+   * @returns {Object} { entries: パートと段落 { part, model, count }, spans: 位置の対応（使えない場合null） }
+   */
+  createStory(storyParts, originalText) {
+    const entries = storyParts.map(part => ({ part, model: new DocxTextModel(part.xml), count: 0 }));
+    const { text, spans } = new DocxBlockExtractor().extract(storyParts);
+    return { entries, spans: text === originalText ? spans : null };
+  }
+
+  /**
+   * 一つの変更を段落の文字に適用する
+   * 変更の位置に対応する段落が分かる場合はその箇所に、分からない場合は元の文章で何番目に現れる語句かを数え、
+   * パートを同じ順にたどって文書の同じ出現箇所に適用する。挿入（変更前の表記が空）は位置が分かる場合だけ適用する
+   * @param {Object} story パートと段落（createStory() の戻り値。適用したパートの count を増やす）
+   * @param {string} originalText 元のテキスト
+   * @param {Object} change 変更 { original, corrected, position }
+   * @param {Function} apply 見つけた箇所に適用する関数 (entry, paragraph, start, end) => boolean|string
+   *   （既定は置き換え。適用できない理由を文字列で返すこともできる）
+   * @returns {string|null} 適用できなかった理由（適用できた場合null）
+   */
+  applyChange(story, originalText, change, apply = (entry, paragraph, start, end) => {
+    if (!entry.model.replace(paragraph, start, end, change.corrected)) return false;
+    entry.count++;
+    return true;
+  }) {
+    if (!change.original && !change.corrected) {
+      return '変更前の表記がありません';
+    }
+
+    // 位置から段落を求める（変更前の表記が段落の文字と一致する場合）
+    const span = change.position && story.spans?.find(item => item.start <= change.position.start && change.position.end <= item.end);
+    if (span) {
+      const entry = story.entries[span.part];
+      const paragraph = entry.model.paragraphs[span.paragraph];
+      const start = change.position.start - span.start;
+      if (paragraph.text.slice(start, start + change.original.length) === change.original) {
+        const applied = apply(entry, paragraph, start, start + change.original.length);
+        if (applied === true) return null;
+        return typeof applied === 'string' ? applied : 'ほかの変更と重なっています';
+      }
     }
+    if (!change.original) {
+      return '文書内の挿入する位置が見つかりません';
+    }
+
+    // 元の文章で何番目の出現か（位置が分からなければ、まだ置き換えていない最初の出現）
+    const occurrence = originalText && change.position
+      ? this.countOccurrences(originalText.slice(0, change.position.start), change.original)
+      : null;
+
+    let found = 0;
+    for (const entry of story.entries) {
+      for (const paragraph of entry.model.paragraphs) {
+        for (let index = paragraph.text.indexOf(change.original); index >= 0;
+             index = paragraph.text.indexOf(change.original, index + change.original.length)) {
+          if (occurrence !== null && found++ !== occurrence) continue;
+          const applied = apply(entry, paragraph, index, index + change.original.length);
+          if (applied === true) return null;
+          if (typeof applied === 'string') return applied;
+          if (occurrence !== null) return 'ほかの変更と重なっています';
+          found++;
+        }
+      }
+    }
+
+    if (found === 0) return '文書内に変更前の表記が見つかりません';
+    return occurrence === null ? 'ほかの変更と重なっています' : '文書内の対応する箇所が見つかりません';
+  }
+
+  /**
+   * 文字列中の語句の出現数（重ならないもの）
+   * @param {string} text 文字列
+   * @param {string} search 語句
+   * @returns {number} 出現数
+   */
+  countOccurrences(text, search) {
+    let count = 0;
+    for (let index = text.indexOf(search); index >= 0; index = text.indexOf(search, index + search.length)) {
+      count++;
+    }
+    return count;
   }
 
   /**
@@ -241,79 +433,52 @@ export class DocumentFormatter {
 
   /**
    * XLSXファイルの体裁を保持して校正テキストを適用
+   * 共有文字列（xl/sharedStrings.xml）とインライン文字列の <t> だけを書き換え、書式・条件付き書式・コメント・画像・
+   * 書式つきの文字列（run）を含むほかの部分は元のまま残す。数式・数値のセルは変更しない
    * @param {Buffer} originalBuffer 元のXLSXファイル
-   * @param {string} originalText 元のテキスト
+   * @param {string} originalText 元のテキスト（変更の位置の基準）
    * @param {string} correctedText 校正後のテキスト
    * @param {Array} changes 変更箇所一覧
-   * @returns {Promise<Buffer>} 校正後のXLSXファイル
+   * @returns {Promise<Object>} { buffer: 校正後のXLSXファイル, unapplied: 適用できなかった変更 { id, original, corrected, reason } }
    */
   async generateCorrectedXlsx(originalBuffer, originalText, correctedText, changes) {
     try {
-      // 変更マップを作成
-      const changeMap = new Map();
-      changes.forEach(change => {
-        changeMap.set(change.original, change.corrected);
-      });
+      const zip = new JSZip();
+      const zipContent = await zip.loadAsync(originalBuffer);
+
+      const worksheets = await loadWorksheets(zipContent);
+      const sharedStringsXml = await zipContent.file('xl/sharedStrings.xml')?.async('text');
+      const model = new XlsxTextModel(sharedStringsXml, worksheets);
 
-      // 元のXLSXワークブックを読み込み（書式保持）
-      const workbook = XLSX.read(originalBuffer, { 
-        type: 'buffer', 
-        cellStyles: true,
-        cellHTML: false,
-        cellNF: false,
-        cellDates: true
-      });
-      
       console.log('XLSX処理開始:', {
-        sheetCount: workbook.SheetNames.length,
-        changeCount: changes.length
+        sheetCount: worksheets.length,
+        changeCount: (changes || []).length
       });
 
-      // 各シートのセルに校正を適用
-      workbook.SheetNames.forEach(sheetName => {
-        const worksheet = workbook.Sheets[sheetName];
-        let cellsProcessed = 0;
-        
-        // シート内の各セルを処理
-        Object.keys(worksheet).forEach(cellAddress => {
-          if (cellAddress.startsWith('!')) return; // メタデータセルはスキップ
-          
-          const cell = worksheet[cellAddress];
-          if (cell && cell.t === 's' && cell.v) { // 文字列セルのみ処理
-            let cellValue = cell.v.toString();
-            let hasChanged = false;
-            
-            // 校正を適用
-            changeMap.forEach((corrected, original) => {
-              const regex = new RegExp(this.escapeRegExp(original), 'g');
-              const newValue = cellValue.replace(regex, corrected);
-              if (newValue !== cellValue) {
-                cellValue = newValue;
-                hasChanged = true;
-              }
-            });
-            
-            // セルの値を更新（書式は保持）
-            if (hasChanged) {
-              cell.v = cellValue;
-              cell.w = cellValue; // 表示値も更新
-              cellsProcessed++;
-            }
-          }
-        });
-        
-        console.log(`シート「${sheetName}」: ${cellsProcessed}個のセルを校正`);
-      });
+      // 元の文章がセルから抽出した文章と同じ場合だけ、位置からセルを求める
+      const spans = model.text === originalText ? model.spans : null;
+      const unapplied = [];
+      const sorted = [...(changes || [])].sort((a, b) => (a.position?.start ?? 0) - (b.position?.start ?? 0));
+      for (const change of sorted) {
+        const reason = this.applyCellChange(model, spans, originalText, change);
+        if (reason) {
+          unapplied.push({ id: change.id, original: change.original, corrected: change.corrected, reason });
+        }
+      }
 
-      // XLSXファイルとして出力（書式保持）
-      const correctedBuffer = XLSX.write(workbook, { 
-        type: 'buffer', 
-        bookType: 'xlsx',
-        cellStyles: true,
-        sheetStubs: false
-      });
+      // 変更のあったパートだけ書き戻す
+      const { sharedStrings, sheets } = model.toXml();
+      if (sharedStrings !== null) zipContent.file('xl/sharedStrings.xml', sharedStrings);
+      sheets.forEach((xml, path) => zipContent.file(path, xml));
 
-      return correctedBuffer;
+      console.log('XLSX校正完了:', { changes: sorted.length, unapplied: unapplied.length, sharedStrings: sharedStrings !== null, sheets: [...sheets.keys()] });
+      unapplied.forEach(change => console.warn(`適用できなかった変更: "${change.original}" → "${change.corrected}"（${change.reason}）`));
+
+      const buffer = await zipContent.generateAsync({
+        type: 'nodebuffer',
+        compression: 'DEFLATE'
+      });
+      return { buffer, unapplied };
 
     } catch (error) {
       console.error('XLSX生成エラー:', error);
@@ -321,6 +486,61 @@ export class DocumentFormatter {
     }
   }
 
+  /**
+   * 一つの変更をセルの文字に適用する
+   * 変更の位置に対応するセルが分かる場合はその箇所に、分からない場合は元の文章で何番目に現れる語句かを数え、
+   * セルを同じ順にたどって同じ出現箇所に適用する（applyChange() と同じ考え方）。挿入は位置が分かる場合だけ適用する
+   * @param {XlsxTextModel} model セルの文字
+   * @param {Array|null} spans 元の文章の位置とセルの対応（使えない場合null）
+   * @param {string} originalText 元のテキスト
+   * @param {Object} change 変更 { original, corrected, position }
+   * @returns {string|null} 適用できなかった理由（適用できた場合null）
+   */
+  applyCellChange(model, spans, originalText, change) {
+    if (!change.original && !change.corrected) {
+      return '変更前の表記がありません';
+    }
+    const apply = (cell, start) => {
+      if (!cell.string || cell.formula) return '数式・数値のセルは変更しません';
+      return model.replace(cell, start, start + change.original.length, change.corrected) ? null : 'ほかの変更と重なっています';
+    };
+
+    const span = change.position && spans?.find(item => item.start <= change.position.start && change.position.end <= item.end);
+    if (span) {
+      const start = change.position.start - span.start;
+      if (span.cell.text.slice(start, start + change.original.length) === change.original) {
+        return apply(span.cell, start);
+      }
+    }
+    if (!change.original) {
+      return 'セル内の挿入する位置が見つかりません';
+    }
+
+    // 元の文章で何番目の出現か（位置が分からなければ、まだ置き換えていない最初の出現）
+    const occurrence = originalText && change.position
+      ? this.countOccurrences(originalText.slice(0, change.position.start), change.original)
+      : null;
+
+    let found = 0;
+    let reason = null;
+    for (const { cell } of model.spans) {
+      for (let index = cell.text.indexOf(change.original); index >= 0;
+           index = cell.text.indexOf(change.original, index + change.original.length)) {
+        if (occurrence !== null && found++ !== occurrence) continue;
+        reason = apply(cell, index);
+        if (reason === null || occurrence !== null) return reason;
+        found++;
+      }
+    }
+
+    if (found === 0) {
+      // 行の中のセルはタブで区切っているため、タブを含む変更は複数のセルにまたがる
+      return change.original.includes('\t') ? '複数のセルにまたがる変更は適用できません' : 'セル内に変更前の表記が見つかりません';
+    }
+    if (reason) return reason;
+    return 'セル内の対応する箇所が見つかりません';
+  }
+
   /**
    * シンプルなXLSX生成（テキストから）
    */
@@ -355,13 +575,6 @@ export class DocumentFormatter {
     }
   }
 
-  /**
-   * 正規表現エスケープ
-   */
-  escapeRegExp(string) {
-    return string.replace(/[.*+?^${}()|[\\]\\\\]/g, '\\\\$&');
-  }
-
   /**
    * ファイル形式に応じて校正済みファイルを生成（統合メソッド）
    * @param {Buffer} originalBuffer 元のファイル
@@ -369,19 +582,23 @@ export class DocumentFormatter {
    * @param {string} correctedText 校正後のテキスト
    * @param {Array} changes 変更箇所一覧
    * @param {string} extension ファイル拡張子
-   * @returns {Promise<Buffer>} 校正後のファイル
+   * @param {Object} options オプション（DOCXの furigana・trackChanges・comments）
+   * @returns {Promise<Object>} { buffer: 校正後のファイル, unapplied: 適用できなかった変更 }
    */
-  async generateCorrectedFile(originalBuffer, originalText, correctedText, changes, extension) {
+  async generateCorrectedFile(originalBuffer, originalText, correctedText, changes, extension, options = {}) {
     try {
       console.log(`校正ファイル生成開始 (形式: ${extension})`);
       
       if (extension === 'xlsx') {
         return await this.generateCorrectedXlsx(originalBuffer, originalText, correctedText, changes);
+      } else if (extension === 'docx' && options.comments) {
+        // 本文は変えずに、指摘をコメントとして付ける
+        return await this.generateCommentedDocx(originalBuffer, originalText, changes);
       } else if (extension === 'docx') {
-        return await this.generateCorrectedDocx(originalBuffer, originalText, correctedText, changes);
+        return await this.generateCorrectedDocx(originalBuffer, originalText, correctedText, changes, options);
       } else {
         // その他の形式は新規DOCXとして生成
-        return await this.generateSimpleDocx(correctedText);
+        return { buffer: await this.generateSimpleDocx(correctedText), unapplied: [] };
       }
     } catch (error) {
       console.error(`校正ファイル生成エラー (${extension}):`, error);
@@ -416,4 +633,12 @@ export class DocumentFormatter {
       throw error;
     }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * 変更履歴・コメントの日時（ISO 8601、秒まで）
+ * @returns {string} 日時
+ */
+function createRevisionDate() {
+  return new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
@@ -0,0 +1,54 @@
+// 本文以外に文章を含むパート（リレーションシップの種類と表示名。この順に読む）
+const STORY_TYPES = [
+  { type: 'header', label: 'ヘッダー' },
+  { type: 'footer', label: 'フッター' },
+  { type: 'footnotes', label: '脚注' },
+  { type: 'endnotes', label: '文末脚注' }
+];
+
+const RELATIONSHIP_BASE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/';
+
+/**
+ * DOCXの文章を含むパート（ストーリー）を読む
+ * 本文（word/document.xml。テキストボックスを含む）のあと、document.xml のリレーションシップから
+ * 参照されるヘッダー・フッター・脚注・文末脚注を、種類ごとにパート名の順で返す。
+ * 文書の解析と校正後の書き戻しで同じ順に扱い、変更の出現位置を対応させる
+ * @param {JSZip} zipContent DOCXのパッケージ
+ * @returns {Promise<Array>} パート { path, type, label, xml }（先頭が本文）
+ */
+export async function loadStoryParts(zipContent) {
+  const documentXml = await zipContent.file('word/document.xml')?.async('text');
+  if (!documentXml) {
+    throw new Error('document.xmlが見つかりません');
+  }
+  const parts = [{ path: 'word/document.xml', type: 'document', label: '本文', xml: documentXml }];
+
+  const rels = await zipContent.file('word/_rels/document.xml.rels')?.async('text');
+  if (!rels) return parts;
+
+  const targets = [];
+  for (const match of rels.matchAll(/<Relationship\s[^>]*>/g)) {
+    const type = /\sType="([^"]*)"/.exec(match[0])?.[1];
+    const target = /\sTarget="([^"]*)"/.exec(match[0])?.[1];
+    if (!type?.startsWith(RELATIONSHIP_BASE) || !target || /\sTargetMode="External"/.test(match[0])) continue;
+
+    const story = STORY_TYPES.find(item => RELATIONSHIP_BASE + item.type === type);
+    if (!story) continue;
+    const path = target.startsWith('/') ? target.slice(1) : `word/${target}`;
+    if (!targets.some(item => item.path === path)) targets.push({ path, story });
+  }
+
+  targets.sort((a, b) => STORY_TYPES.indexOf(a.story) - STORY_TYPES.indexOf(b.story) ||
+    a.path.localeCompare(b.path, 'en', { numeric: true }));
+
+  const counts = {};
+  for (const { path, story } of targets) {
+    const xml = await zipContent.file(path)?.async('text');
+    if (!xml) continue;
+    // ヘッダー・フッターは複数ありうるため番号を付ける（ヘッダー1、ヘッダー2）
+    counts[story.type] = (counts[story.type] || 0) + 1;
+    const label = story.type === 'header' || story.type === 'footer' ? `${story.label}${counts[story.type]}` : story.label;
+    parts.push({ path, type: story.type, label, xml });
+  }
+  return parts;
+}
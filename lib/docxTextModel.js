@@ -0,0 +1,322 @@
+// 中に段落を含まない段落（テキストボックスのある段落は、内側の段落だけに一致する）
+export const PARAGRAPH_PATTERN = /<w:p(?:\s[^>]*)?>(?:(?!<w:p[\s>])[\s\S])*?<\/w:p>/g;
+
+// 段落・run の開始と終了、文字（<w:t>）、ルビのふりがな（<w:rt>）、図形の代替表示（<mc:Fallback>）のタグ
+const TOKEN_PATTERN = /<w:p(?:\s[^>]*)?>|<\/w:p>|<w:r(?:\s[^>]*)?>|<\/w:r>|<w:t(\s[^>]*)?>([^<]*)<\/w:t>|<w:rt>|<\/w:rt>|<mc:Fallback(?:\s[^>]*)?>|<\/mc:Fallback>/g;
+
+// 同じ位置の印を書く順（前のコメントの終わり、次のコメントの始まり、削除、挿入）
+const MARK_ORDER = { commentEnd: 0, commentStart: 1, del: 2, ins: 3 };
+
+/**
+ * DOCXの段落の文字と run の対応
+ * 段落の文字は段落内の <w:t> をつなげたもので、run の境界（書式・校正記号・変更履歴のIDの違い）で
+ * 分かれた語も一続きの文字として扱える。置き換えは元の位置で指定し、toXml() で書き戻す
+ */
+export class DocxTextModel {
+  /**
+   * @param {string} xml document.xml などのXML
+   */
+  constructor(xml) {
+    this.xml = xml;
+    this.paragraphs = [];
+
+    const paragraphs = [];
+    const runs = [];
+    // ルビのふりがなと、テキストボックスの代替表示（mc:Choice と同じ文章の複製）は段落の文字に含めない
+    let skipDepth = 0;
+    for (const match of xml.matchAll(TOKEN_PATTERN)) {
+      const tag = match[0];
+      if (tag === '<w:rt>' || tag.startsWith('<mc:Fallback')) {
+        skipDepth++;
+      } else if (tag === '</w:rt>' || tag === '</mc:Fallback>') {
+        skipDepth = Math.max(skipDepth - 1, 0);
+      } else if (skipDepth > 0) {
+        continue;
+      } else if (tag === '</w:p>') {
+        const paragraph = paragraphs.pop();
+        if (paragraph) paragraph.end = match.index + tag.length;
+      } else if (tag === '</w:r>') {
+        const run = runs.pop();
+        if (run) run.end = match.index + tag.length;
+      } else if (tag.startsWith('<w:p')) {
+        if (tag.endsWith('/>')) continue;
+        const paragraph = { index: this.paragraphs.length, start: match.index, end: null, text: '', segments: [], edits: [] };
+        this.paragraphs.push(paragraph);
+        paragraphs.push(paragraph);
+      } else if (tag.startsWith('<w:r')) {
+        if (tag.endsWith('/>')) continue;
+        runs.push({ start: match.index, end: null, segments: [] });
+      } else if (paragraphs.length > 0) {
+        const paragraph = paragraphs[paragraphs.length - 1];
+        const run = runs[runs.length - 1] || null;
+        const text = decodeXml(match[2]);
+        const segment = {
+          tagStart: match.index,
+          tagEnd: match.index + tag.length,
+          attributes: match[1] || '',
+          start: paragraph.text.length,
+          length: text.length,
+          text,
+          run,
+          marks: [],
+          changed: false
+        };
+        paragraph.segments.push(segment);
+        if (run) run.segments.push(segment);
+        paragraph.text += text;
+      }
+    }
+  }
+
+  /**
+   * 段落の文字の一部を置き換える（位置は置き換え前の段落の文字で指定）
+   * 複数の run にまたがる場合は最初の run に置換後の文字を入れ、残りの run からは該当部分を除く
+   * @param {Object} paragraph 段落（this.paragraphs の要素）
+   * @param {number} start 開始位置
+   * @param {number} end 終了位置
+   * @param {string} replacement 置換後の文字
+   * @returns {boolean} 置き換えられた場合true（範囲が文字の外、またはほかの置き換えと重なる場合false）
+   */
+  replace(paragraph, start, end, replacement) {
+    if (start < 0 || end > paragraph.text.length || start > end || paragraph.segments.length === 0) {
+      return false;
+    }
+    if (paragraph.edits.some(edit => (start < edit.end && edit.start < end) || (start === end && edit.start === start))) {
+      return false;
+    }
+    paragraph.edits.push({ start, end, replacement });
+    return true;
+  }
+
+  /**
+   * 段落の文字の範囲にコメントを付ける（<w:commentRangeStart>・<w:commentRangeEnd> と参照の run を置く）
+   * コメントの本文（comments.xml）は呼び出し側で作る
+   * @param {Object} paragraph 段落（this.paragraphs の要素）
+   * @param {number} start 開始位置
+   * @param {number} end 終了位置
+   * @param {number} id コメントのID
+   * @returns {boolean} 付けられた場合true（範囲が文字の外の場合false）
+   */
+  addComment(paragraph, start, end, id) {
+    if (start < 0 || end > paragraph.text.length || start >= end) return false;
+    const affected = this.findAffected(paragraph, start, end);
+    if (affected.length === 0) return false;
+
+    const first = affected[0];
+    const last = affected[affected.length - 1];
+    first.marks.push({ type: 'commentStart', from: start - first.start, to: start - first.start, id });
+    last.marks.push({ type: 'commentEnd', from: end - last.start, to: end - last.start, id });
+    return true;
+  }
+
+  /**
+   * 置き換えとコメントの範囲を反映したXML
+   * revision を指定すると、置き換えを変更履歴（<w:del>・<w:ins>）として書き、Wordで承諾・却下できるようにする
+   * @param {Object|null} revision 変更履歴の情報 { author, date, nextId }（nextId はパートをまたいでIDを振る関数。省略時は文書内の最大のIDから振る）
+   * @returns {string} XML
+   */
+  toXml(revision = null) {
+    const replacements = [];
+    let revisionId = revision && !revision.nextId ? this.getMaxId() + 1 : 0;
+    const nextId = revision?.nextId || (() => revisionId++);
+
+    for (const paragraph of this.paragraphs) {
+      if (revision) {
+        paragraph.edits.forEach(edit => this.markEdit(paragraph, edit));
+      } else {
+        // 後ろから置き換え、前の位置がずれないようにする
+        [...paragraph.edits].sort((a, b) => b.start - a.start).forEach(edit => this.applyEdit(paragraph, edit));
+      }
+      paragraph.edits = [];
+
+      // 変更履歴・コメントの印のある run は分けて書き直し、それ以外は <w:t> だけを書き換える
+      const runs = new Set(paragraph.segments.filter(segment => segment.marks.length > 0 && segment.run).map(segment => segment.run));
+      for (const run of runs) {
+        replacements.push({ start: run.start, end: run.end, xml: this.createMarkedRun(run, revision, nextId) });
+      }
+      for (const segment of paragraph.segments.filter(item => item.changed && !runs.has(item.run))) {
+        replacements.push({ start: segment.tagStart, end: segment.tagEnd, xml: createText('w:t', segment.attributes, segment.text) });
+      }
+    }
+    if (replacements.length === 0) return this.xml;
+
+    let result = '';
+    let cursor = 0;
+    for (const { start, end, xml } of replacements.sort((a, b) => a.start - b.start)) {
+      result += this.xml.slice(cursor, start) + xml;
+      cursor = end;
+    }
+    return result + this.xml.slice(cursor);
+  }
+
+  /**
+   * 置き換えの対象になる <w:t>（挿入だけの場合は挿入位置を含む <w:t>）
+   * @param {Object} paragraph 段落
+   * @param {number} start 開始位置
+   * @param {number} end 終了位置
+   * @returns {Array} <w:t> の一覧
+   */
+  findAffected(paragraph, start, end) {
+    if (start === end) {
+      const segment = paragraph.segments.find(item => item.start <= start && start <= item.start + item.length);
+      return segment ? [segment] : [];
+    }
+    return paragraph.segments.filter(segment => segment.length > 0 && segment.start < end && start < segment.start + segment.length);
+  }
+
+  /**
+   * 一つの置き換えを <w:t> の文字に反映する
+   * @param {Object} paragraph 段落
+   * @param {Object} edit 置き換え { start, end, replacement }
+   */
+  applyEdit(paragraph, { start, end, replacement }) {
+    const affected = this.findAffected(paragraph, start, end);
+    if (affected.length === 0) return;
+
+    const first = affected[0];
+    const last = affected[affected.length - 1];
+    const tail = last.text.slice(end - last.start);
+    if (first === last) {
+      first.text = first.text.slice(0, start - first.start) + replacement + tail;
+    } else {
+      first.text = first.text.slice(0, start - first.start) + replacement;
+      affected.slice(1, -1).forEach(segment => { segment.text = ''; });
+      last.text = tail;
+    }
+    affected.forEach(segment => { segment.changed = true; });
+  }
+
+  /**
+   * 一つの置き換えを変更履歴の印として <w:t> に記録する
+   * 削除は対象の <w:t> ごとに、挿入は最後の <w:t> の削除の直後に置く（書式は最初の run のもの）
+   * @param {Object} paragraph 段落
+   * @param {Object} edit 置き換え { start, end, replacement }
+   */
+  markEdit(paragraph, { start, end, replacement }) {
+    const affected = this.findAffected(paragraph, start, end);
+    if (affected.length === 0) return;
+
+    for (const segment of affected) {
+      const from = Math.max(start, segment.start) - segment.start;
+      const to = Math.min(end, segment.start + segment.length) - segment.start;
+      if (from < to) segment.marks.push({ type: 'del', from, to });
+    }
+    if (replacement) {
+      const last = affected[affected.length - 1];
+      const at = Math.min(end, last.start + last.length) - last.start;
+      last.marks.push({ type: 'ins', from: at, to: at, text: replacement, source: affected[0].run });
+    }
+  }
+
+  /**
+   * 印をつけた run を、変更のない部分・<w:del>・<w:ins> の run とコメントの範囲の要素に分けて書く
+   * @param {Object} run run { start, end, segments }
+   * @param {Object|null} revision 変更履歴の情報 { author, date }（コメントだけの場合null）
+   * @param {Function} nextId 変更履歴のIDを順に返す関数
+   * @returns {string} XML
+   */
+  createMarkedRun(run, revision, nextId) {
+    const { open, rPr } = this.splitRun(run);
+    const runXml = this.xml.slice(run.start, run.end);
+    const attributes = revision ? `w:author="${encodeXml(revision.author)}" w:date="${revision.date}"` : '';
+    const createRun = content => `${open}${rPr}${content}</w:r>`;
+
+    let xml = '';
+    let cursor = open.length + rPr.length;
+    for (const segment of run.segments) {
+      // <w:t> の前にある要素（タブ・改行など）は元の書式の run に残す
+      const before = runXml.slice(cursor, segment.tagStart - run.start);
+      if (before) xml += createRun(before);
+      cursor = segment.tagEnd - run.start;
+
+      const marks = [...segment.marks].sort((a, b) => a.from - b.from || MARK_ORDER[a.type] - MARK_ORDER[b.type]);
+      let offset = 0;
+      for (const mark of marks) {
+        if (mark.from > offset) xml += createRun(createText('w:t', '', segment.text.slice(offset, mark.from)));
+        if (mark.type === 'commentStart') {
+          xml += `<w:commentRangeStart w:id="${mark.id}"/>`;
+        } else if (mark.type === 'commentEnd') {
+          xml += `<w:commentRangeEnd w:id="${mark.id}"/><w:r><w:commentReference w:id="${mark.id}"/></w:r>`;
+        } else if (mark.type === 'del') {
+          xml += `<w:del w:id="${nextId()}" ${attributes}>${createRun(createText('w:delText', '', segment.text.slice(mark.from, mark.to)))}</w:del>`;
+        } else {
+          const source = mark.source && mark.source !== run ? this.splitRun(mark.source) : { open, rPr };
+          xml += `<w:ins w:id="${nextId()}" ${attributes}>${source.open}${source.rPr}${createText('w:t', '', mark.text)}</w:r></w:ins>`;
+        }
+        offset = Math.max(offset, mark.to);
+      }
+      if (offset < segment.text.length) xml += createRun(createText('w:t', '', segment.text.slice(offset)));
+      segment.marks = [];
+    }
+
+    const after = runXml.slice(cursor, -'</w:r>'.length);
+    if (after) xml += createRun(after);
+    return xml;
+  }
+
+  /**
+   * run の開始タグと書式（rPr）を取り出す（書式の変更履歴 w:rPrChange の中の rPr も含める）
+   * @param {Object} run run { start, end }
+   * @returns {Object} { open, rPr }
+   */
+  splitRun(run) {
+    const runXml = this.xml.slice(run.start, run.end);
+    const open = runXml.slice(0, runXml.indexOf('>') + 1);
+    if (!runXml.startsWith('<w:rPr>', open.length)) return { open, rPr: '' };
+
+    let depth = 0;
+    for (const match of runXml.slice(open.length).matchAll(/<w:rPr>|<\/w:rPr>/g)) {
+      depth += match[0] === '<w:rPr>' ? 1 : -1;
+      if (depth === 0) return { open, rPr: runXml.slice(open.length, open.length + match.index + match[0].length) };
+    }
+    return { open, rPr: '' };
+  }
+
+  /**
+   * 文書で使われている最大のID（w:id）。変更履歴のIDはこれより大きい値にする
+   * @returns {number} 最大のID
+   */
+  getMaxId() {
+    let max = 0;
+    for (const match of this.xml.matchAll(/w:id="(\d+)"/g)) {
+      max = Math.max(max, Number(match[1]));
+    }
+    return max;
+  }
+}
+
+/**
+ * 文字の要素（<w:t>・<w:delText>）を作る（前後に空白がある場合は xml:space="preserve" を付ける）
+ * @param {string} name 要素名
+ * @param {string} attributes 元の属性
+ * @param {string} text 文字
+ * @returns {string} XML
+ */
+function createText(name, attributes, text) {
+  if (/^\s|\s$/.test(text) && !attributes.includes('xml:space')) {
+    attributes += ' xml:space="preserve"';
+  }
+  return `<${name}${attributes}>${encodeXml(text)}</${name}>`;
+}
+
+/**
+ * XMLの文字参照を戻す
+ * @param {string} text XMLの文字
+ * @returns {string} 文字
+ */
+export function decodeXml(text) {
+  return text.replace(/&(?:lt|gt|amp|quot|apos|#(\d+)|#x([0-9a-fA-F]+));/g, (entity, decimal, hex) => {
+    if (decimal) return String.fromCodePoint(Number(decimal));
+    if (hex) return String.fromCodePoint(parseInt(hex, 16));
+    return { '&lt;': '<', '&gt;': '>', '&amp;': '&', '&quot;': '"', '&apos;': "'" }[entity];
+  });
+}
+
+/**
+ * 文字をXMLの文字として書けるようにする
+ * @param {string} text 文字
+ * @returns {string} XMLの文字
+ */
+export function encodeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
@@ -0,0 +1,263 @@
+import { toHiragana } from './tokenizer.js';
+import { KanjiTable } from './kanjiTable.js';
+import { PARAGRAPH_PATTERN, decodeXml, encodeXml } from './docxTextModel.js';
+
+// ふりがなを付ける字（々・〆・ヶは前の漢字と一緒に扱う）
+const KANJI = /[一-鿿㐀-䶿豈-﫿々〆ヶ]|[\uD840-\uD87F][\uDC00-\uDFFF]/;
+const KANJI_GROUP = /(?:[一-鿿㐀-䶿豈-﫿々〆ヶ]|[\uD840-\uD87F][\uDC00-\uDFFF])+/g;
+const ITERATION_MARKS = '々〆ヶ';
+
+// rPr の中で w:sz より後に置く要素（スキーマの順序を保つため、この前に w:sz を入れる）
+const AFTER_SIZE = ['highlight', 'u', 'effect', 'bdr', 'shd', 'fitText', 'vertAlign', 'rtl', 'cs', 'em',
+  'lang', 'eastAsianLayout', 'specVanish', 'oMath', 'rPrChange'];
+
+// Wordの既定の文字の大きさ（半ポイント、10.5pt）
+const DEFAULT_FONT_SIZE = 21;
+
+/**
+ * 語の表記と読みを漢字の部分ごとに対応させる（取り扱い・とりあつかい → 取/と・り・扱/あつか・い）
+ * @param {string} surface 表記
+ * @param {string} reading 読み（ひらがな）
+ * @returns {Array|null} 部分 { text, reading }（かなの部分の reading は null）。対応しない場合null
+ */
+export function alignReading(surface, reading) {
+  const parts = [];
+  let cursor = 0;
+  for (const match of surface.matchAll(KANJI_GROUP)) {
+    if (match.index > cursor) parts.push({ text: surface.slice(cursor, match.index), kanji: false });
+    parts.push({ text: match[0], kanji: true });
+    cursor = match.index + match[0].length;
+  }
+  if (cursor < surface.length) parts.push({ text: surface.slice(cursor), kanji: false });
+  if (!parts.some(part => part.kanji)) return null;
+
+  const pattern = parts
+    .map(part => (part.kanji ? '(.+?)' : toHiragana(part.text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  const matched = new RegExp(`^${pattern}$`).exec(reading);
+  if (!matched) return null;
+
+  let group = 1;
+  return parts.map(part => ({ text: part.text, reading: part.kanji ? matched[group++] : null }));
+}
+
+/**
+ * DOCXの本文の漢字にふりがな（<w:ruby>）を付ける
+ * 読みはルールセットの reading（正しい表記の読み）を優先し、それ以外は形態素解析器で求める
+ * 一つの run の中にある漢字だけに付け、run の書式（rPr）は分けた run とルビの親文字にそのまま写す
+ */
+export class FuriganaAnnotator {
+  /**
+   * @param {Object} options オプション
+   * @param {string|number} options.target 'all'（すべての漢字）または学年（1〜6。その学年までに習わない漢字）
+   * @param {Object|null} options.tokenizer 形態素解析器
+   * @param {KanjiTable} options.kanjiTable 漢字表（学年を指定する場合）
+   * @param {Array} options.rules 読みの辞書に使うルール（correct・reading）
+   */
+  constructor(options = {}) {
+    const { target } = options;
+    if (target !== 'all' && !(Number.isInteger(target) && target >= 1 && target <= 6)) {
+      throw new Error('ふりがなの対象は all または1〜6の学年で指定してください');
+    }
+    this.target = target;
+    this.tokenizer = options.tokenizer || null;
+    this.kanjiTable = target === 'all' ? null : options.kanjiTable || new KanjiTable();
+    this.readings = new Map();
+    if (options.rules) this.addReadings(options.rules);
+  }
+
+  /**
+   * ルールの正しい表記と読みを読みの辞書に加える
+   * 「（成果）を上げる」の括弧書きは除き、表記と読みが対応しないものは使わない
+   * @param {Array} rules ルール一覧
+   */
+  addReadings(rules) {
+    for (const rule of rules) {
+      if (rule.pattern || typeof rule.correct !== 'string' || typeof rule.reading !== 'string') continue;
+      const surface = rule.correct.replace(/（[^）]*）/g, '');
+      if (alignReading(surface, rule.reading)) this.readings.set(surface, rule.reading);
+    }
+  }
+
+  /**
+   * 漢字の部分にふりがなが必要か
+   * @param {string} text 漢字の部分
+   * @returns {boolean} 必要ならtrue
+   */
+  needsRuby(text) {
+    if (this.target === 'all') return true;
+    return [...text].some(char => {
+      if (ITERATION_MARKS.includes(char)) return false;
+      const grade = this.kanjiTable.getGrade(char);
+      return grade === null || grade > this.target;
+    });
+  }
+
+  /**
+   * 文章からふりがなを付ける箇所を探す
+   * @param {string} text 段落の文章
+   * @returns {Array} 箇所 { start, end, reading }（位置順、漢字の部分ごと）
+   */
+  findRuby(text) {
+    if (!KANJI.test(text)) return [];
+
+    const words = [];
+    const covered = new Uint8Array(text.length);
+    const isFree = (start, end) => !covered.subarray(start, end).some(Boolean);
+
+    // ルールセットの読み（長い表記から）
+    const entries = [...this.readings].filter(([surface]) => text.includes(surface))
+      .sort((a, b) => b[0].length - a[0].length);
+    for (const [surface, reading] of entries) {
+      for (let index = text.indexOf(surface); index >= 0; index = text.indexOf(surface, index + surface.length)) {
+        if (!isFree(index, index + surface.length)) continue;
+        covered.fill(1, index, index + surface.length);
+        words.push({ start: index, surface, reading });
+      }
+    }
+
+    if (this.tokenizer) {
+      for (const token of this.tokenizer.tokenize(text)) {
+        if (!token.reading || !KANJI.test(token.surface) || !isFree(token.start, token.end)) continue;
+        words.push({ start: token.start, surface: token.surface, reading: token.reading });
+      }
+    }
+
+    const found = [];
+    for (const { start, surface, reading } of words) {
+      // 表記と読みが対応しない語は、漢字だけの語なら語全体に付ける
+      const parts = alignReading(surface, reading) ||
+        (surface.match(KANJI_GROUP)?.[0] === surface ? [{ text: surface, reading }] : []);
+      let offset = start;
+      for (const part of parts) {
+        if (part.reading && this.needsRuby(part.text)) {
+          found.push({ start: offset, end: offset + part.text.length, reading: part.reading });
+        }
+        offset += part.text.length;
+      }
+    }
+    return found.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * document.xml の段落にふりがなを付ける
+   * 入れ子の段落（テキストボックス）は内側の段落ごとに処理し、すでにルビのある段落は変更しない
+   * @param {string} xml document.xml
+   * @param {number} defaultSize 文字の大きさの既定値（半ポイント、styles.xml の docDefaults）
+   * @returns {Object} { xml, count（付けたふりがなの数） }
+   */
+  annotateXml(xml, defaultSize = DEFAULT_FONT_SIZE) {
+    let count = 0;
+    const annotated = xml.replace(PARAGRAPH_PATTERN, paragraph => {
+      if (paragraph.includes('<w:ruby>')) return paragraph;
+      const result = this.annotateParagraph(paragraph, defaultSize);
+      count += result.count;
+      return result.xml;
+    });
+    return { xml: annotated, count };
+  }
+
+  /**
+   * 一つの段落にふりがなを付ける
+   * @param {string} paragraph 段落のXML
+   * @param {number} defaultSize 文字の大きさの既定値（半ポイント）
+   * @returns {Object} { xml, count }
+   */
+  annotateParagraph(paragraph, defaultSize) {
+    // 段落の文章と、書式と文字だけからなる run の位置
+    const runs = [];
+    let text = '';
+    for (const match of paragraph.matchAll(/<w:r(?:\s[^>]*)?>([\s\S]*?)<\/w:r>/g)) {
+      const simple = /^(<w:rPr>[\s\S]*?<\/w:rPr>)?<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>$/.exec(match[1]);
+      const content = simple
+        ? decodeXml(simple[2])
+        : [...match[1].matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>/g)].map(t => decodeXml(t[1])).join('');
+      runs.push({
+        index: match.index,
+        xml: match[0],
+        open: match[0].slice(0, match[0].indexOf('>') + 1),
+        rPr: simple ? simple[1] || '' : null,
+        start: text.length,
+        text: content
+      });
+      text += content;
+    }
+
+    const rubies = this.findRuby(text);
+    if (rubies.length === 0) return { xml: paragraph, count: 0 };
+
+    let result = '';
+    let cursor = 0;
+    let count = 0;
+    for (const run of runs) {
+      const end = run.start + run.text.length;
+      const inside = run.rPr === null ? [] : rubies.filter(ruby => ruby.start >= run.start && ruby.end <= end);
+      if (inside.length === 0) continue;
+
+      const size = Number(/<w:sz w:val="(\d+)"/.exec(run.rPr)?.[1]) || defaultSize;
+      let rebuilt = '';
+      let offset = 0;
+      for (const ruby of inside) {
+        const before = run.text.slice(offset, ruby.start - run.start);
+        if (before) rebuilt += this.createRun(run.open, run.rPr, before);
+        rebuilt += this.createRubyRun(run.open, run.rPr, run.text.slice(ruby.start - run.start, ruby.end - run.start), ruby.reading, size);
+        offset = ruby.end - run.start;
+      }
+      const after = run.text.slice(offset);
+      if (after) rebuilt += this.createRun(run.open, run.rPr, after);
+
+      result += paragraph.slice(cursor, run.index) + rebuilt;
+      cursor = run.index + run.xml.length;
+      count += inside.length;
+    }
+
+    return { xml: result + paragraph.slice(cursor), count };
+  }
+
+  /**
+   * 文字だけの run を作る
+   * @param {string} open 元の run の開始タグ
+   * @param {string} rPr 元の run の書式
+   * @param {string} text 文字
+   * @returns {string} run のXML
+   */
+  createRun(open, rPr, text) {
+    return `${open}${rPr}<w:t xml:space="preserve">${encodeXml(text)}</w:t></w:r>`;
+  }
+
+  /**
+   * ルビの run を作る（ふりがなは親文字の半分の大きさ）
+   * @param {string} open 元の run の開始タグ
+   * @param {string} rPr 元の run の書式
+   * @param {string} base 親文字
+   * @param {string} reading ふりがな
+   * @param {number} size 親文字の大きさ（半ポイント）
+   * @returns {string} run のXML
+   */
+  createRubyRun(open, rPr, base, reading, size) {
+    const rubySize = Math.max(Math.floor(size / 2), 1);
+    return `${open}${rPr}<w:ruby>` +
+      `<w:rubyPr><w:rubyAlign w:val="distributeSpace"/><w:hps w:val="${rubySize}"/>` +
+      `<w:hpsRaise w:val="${Math.max(size - 3, rubySize)}"/><w:hpsBaseText w:val="${size}"/><w:lid w:val="ja-JP"/></w:rubyPr>` +
+      `<w:rt><w:r>${setFontSize(rPr, rubySize)}<w:t>${encodeXml(reading)}</w:t></w:r></w:rt>` +
+      `<w:rubyBase><w:r>${rPr}<w:t>${encodeXml(base)}</w:t></w:r></w:rubyBase>` +
+      '</w:ruby></w:r>';
+  }
+}
+
+/**
+ * 書式の文字の大きさを変更する（w:sz・w:szCs）
+ * @param {string} rPr 書式（空文字列も可）
+ * @param {number} size 大きさ（半ポイント）
+ * @returns {string} 変更した書式
+ */
+function setFontSize(rPr, size) {
+  const sizes = `<w:sz w:val="${size}"/><w:szCs w:val="${size}"/>`;
+  if (!rPr) return `<w:rPr>${sizes}</w:rPr>`;
+
+  const inner = rPr.slice('<w:rPr>'.length, -'</w:rPr>'.length).replace(/<w:szCs? [^>]*\/>/g, '');
+  const next = inner.search(new RegExp(`<w:(?:${AFTER_SIZE.join('|')})[\\s>/]`));
+  return next >= 0
+    ? `<w:rPr>${inner.slice(0, next)}${sizes}${inner.slice(next)}</w:rPr>`
+    : `<w:rPr>${inner}${sizes}</w:rPr>`;
+}
@@ -0,0 +1,167 @@
+import { SECONDARY_GRADE } from './kanjiTable.js';
+import { alignReading } from './furiganaAnnotator.js';
+
+// 学年別漢字の指摘のカテゴリ
+export const GRADE_KANJI_CATEGORY = '学年別漢字';
+
+const KANJI = /[一-鿿㐀-䶿豈-﫿]|[\uD840-\uD87F][\uDC00-\uDFFF]/;
+const HIRAGANA_OR_KANJI = /^(?:[ぁ-ゖゝゞー々〆]|[一-鿿㐀-䶿豈-﫿]|[\uD840-\uD87F][\uDC00-\uDFFF])+$/;
+
+/**
+ * 児童向けの配布物で、指定した学年までに習わない漢字を探す
+ * 形態素解析器で語の読みが分かる場合は、ひらがな（既定）とふりがな「漢字（かんじ）」の候補を示す
+ * 漢字のまま残すかは先生が選ぶため、変換は採用されていない変更（optional）として扱い、既定では適用しない
+ */
+export class GradeKanjiChecker {
+  /**
+   * @param {number} targetGrade 対象学年（1〜6）
+   * @param {KanjiTable} kanjiTable 漢字表
+   * @param {Object|null} tokenizer 形態素解析器
+   */
+  constructor(targetGrade, kanjiTable, tokenizer = null) {
+    if (!Number.isInteger(targetGrade) || targetGrade < 1 || targetGrade > 6) {
+      throw new Error('対象学年は1〜6の整数で指定してください');
+    }
+    this.targetGrade = targetGrade;
+    this.kanjiTable = kanjiTable;
+    this.tokenizer = tokenizer;
+    this.optional = true;
+  }
+
+  /**
+   * 漢字が対象学年までに習うものか
+   * @param {string} char 漢字
+   * @returns {boolean} 習わない漢字ならtrue
+   */
+  isAboveGrade(char) {
+    const grade = this.kanjiTable.getGrade(char);
+    return grade === null || grade > this.targetGrade;
+  }
+
+  /**
+   * 漢字の学年の説明（「薔: 常用外」「遊: 3年」）
+   * @param {Array} chars 漢字
+   * @returns {string} 説明
+   */
+  describe(chars) {
+    return chars.map(char => {
+      const grade = this.kanjiTable.getGrade(char);
+      const label = grade === null ? '常用外' : grade === SECONDARY_GRADE ? '中学校' : `${grade}年`;
+      return `${char}: ${label}`;
+    }).join('、');
+  }
+
+  /**
+   * 置き換えの候補を示せる箇所を探す（語単位）
+   * @param {string} text 対象の文章
+   * @returns {Array} 変換箇所 { start, end, replacement, alternatives, rule }
+   */
+  findAll(text) {
+    if (!this.tokenizer) return [];
+
+    const found = [];
+    this.forEachWord(text, (token, chars) => {
+      if (!token.reading || !HIRAGANA_OR_KANJI.test(token.surface)) return;
+
+      found.push({
+        start: token.start,
+        end: token.end,
+        replacement: token.reading,
+        alternatives: [this.createFurigana(token.surface, token.reading)],
+        rule: this.createRule(chars)
+      });
+    });
+    return found;
+  }
+
+  /**
+   * 文字列中の習わない漢字をひらがなにする（ルールの置換後の表記に使う）
+   * @param {string} text 文字列
+   * @returns {string} 置き換えた文字列
+   */
+  normalize(text) {
+    let result = '';
+    let cursor = 0;
+    for (const { start, end, replacement } of this.findAll(text)) {
+      result += text.slice(cursor, start) + replacement;
+      cursor = end;
+    }
+    return result + text.slice(cursor);
+  }
+
+  /**
+   * 読みが分からず候補を示せない箇所を警告にする（形態素解析器がない場合はすべての漢字）
+   * @param {string} text 対象の文章
+   * @returns {Array} 指摘一覧 { type, severity, span, text, message }
+   */
+  diagnose(text) {
+    const diagnostics = [];
+    const report = (start, end, chars) => diagnostics.push({
+      type: 'gradeKanji',
+      severity: 'warning',
+      span: { start, end },
+      text: text.slice(start, end),
+      message: `${this.targetGrade}年生までに習わない漢字があります（${this.describe(chars)}）`
+    });
+
+    if (!this.tokenizer) {
+      let offset = 0;
+      for (const char of text) {
+        if (KANJI.test(char) && this.isAboveGrade(char)) report(offset, offset + char.length, [char]);
+        offset += char.length;
+      }
+      return diagnostics;
+    }
+
+    this.forEachWord(text, (token, chars) => {
+      if (!token.reading || !HIRAGANA_OR_KANJI.test(token.surface)) report(token.start, token.end, chars);
+    });
+    return diagnostics;
+  }
+
+  /**
+   * 習わない漢字を含む語ごとに処理する（長い文書でも解析器に渡すのは1行ずつ）
+   * @param {string} text 対象の文章
+   * @param {Function} callback (token, chars) => void（chars は習わない漢字）
+   */
+  forEachWord(text, callback) {
+    let offset = 0;
+    for (const line of text.split('\n')) {
+      const lineStart = offset;
+      offset += line.length + 1;
+      if (![...line].some(char => KANJI.test(char) && this.isAboveGrade(char))) continue;
+
+      for (const token of this.tokenizer.tokenize(line)) {
+        const chars = [...new Set([...token.surface].filter(char => KANJI.test(char) && this.isAboveGrade(char)))];
+        if (chars.length === 0) continue;
+        callback({ ...token, start: token.start + lineStart, end: token.end + lineStart }, chars);
+      }
+    }
+  }
+
+  /**
+   * ふりがなつきの表記を作る（送り仮名は括弧の外に出す: 取り扱い → 取（と）り扱（あつか）い）
+   * @param {string} surface 表記
+   * @param {string} reading 読み（ひらがな）
+   * @returns {string} ふりがなつきの表記
+   */
+  createFurigana(surface, reading) {
+    const parts = alignReading(surface, reading);
+    if (!parts) return `${surface}（${reading}）`;
+    return parts.map(part => (part.reading ? `${part.text}（${part.reading}）` : part.text)).join('');
+  }
+
+  /**
+   * 指摘に記録するルール
+   * @param {Array} chars 習わない漢字
+   * @returns {Object} ルール
+   */
+  createRule(chars) {
+    return {
+      id: 'gradeKanji',
+      category: GRADE_KANJI_CATEGORY,
+      note: `${this.targetGrade}年生までに習わない漢字（${this.describe(chars)}）`,
+      severity: 'warning'
+    };
+  }
+}
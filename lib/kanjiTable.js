@@ -0,0 +1,58 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// 小学校で習わない常用漢字の学年
+export const SECONDARY_GRADE = 7;
+
+/**
+ * 常用漢字表と学年別漢字配当表（data/kanji.json）
+ */
+export class KanjiTable {
+  constructor() {
+    const { joyo, grades } = this.load();
+    this.joyo = joyo;
+    this.grades = grades;
+  }
+
+  /**
+   * 漢字表を読み込み
+   * @returns {Object} { joyo: Set, grades: Map（漢字 → 学年） }
+   */
+  load() {
+    try {
+      const kanjiPath = path.join(__dirname, '../data/kanji.json');
+      const parsed = JSON.parse(fs.readFileSync(kanjiPath, 'utf8'));
+      const grades = new Map();
+      for (const [grade, characters] of Object.entries(parsed.grades)) {
+        for (const char of characters) grades.set(char, Number(grade));
+      }
+      return { joyo: new Set([...parsed.joyo, ...parsed.joyoVariants]), grades };
+    } catch (error) {
+      console.error('漢字表の読み込みに失敗しました:', error);
+      return { joyo: new Set(), grades: new Map() };
+    }
+  }
+
+  /**
+   * 常用漢字か
+   * @param {string} char 漢字
+   * @returns {boolean} 常用漢字ならtrue
+   */
+  isJoyo(char) {
+    return this.joyo.has(char);
+  }
+
+  /**
+   * 漢字の配当学年（1〜6。小学校で習わない常用漢字は7、常用漢字でなければ null）
+   * @param {string} char 漢字
+   * @returns {number|null} 学年
+   */
+  getGrade(char) {
+    if (this.grades.has(char)) return this.grades.get(char);
+    return this.joyo.has(char) ? SECONDARY_GRADE : null;
+  }
+}
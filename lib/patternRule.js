@@ -0,0 +1,106 @@
+import { RE2JS } from 're2js';
+
+// パターンの長さの上限（ルールファイルの誤記・巨大な入力への備え）
+const MAX_PATTERN_LENGTH = 500;
+
+// 置換テンプレート中の参照 $1・$<名前>・$$・$&
+const TEMPLATE_REFERENCE = /\$(?:(\d{1,2})|<([^>]+)>|(\$)|(&))/g;
+
+/**
+ * 正規表現用のエスケープ処理
+ * @param {string} string エスケープ対象文字列
+ * @returns {string} エスケープ済み文字列
+ */
+export function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 正規表現ルール（rule.pattern）
+ * RE2（re2js）で照合するため、どのようなパターンでも処理時間は文章の長さに比例し、
+ * 後方参照や先読みなど逆戻りの必要な構文は使えない
+ *
+ * 置換するのは一致全体、またはパターン中に名前付きグループ (?P<target>...) があればその部分だけで、
+ * 置換後の表記は rule.correct をテンプレートとして $1・$<名前> を展開して作る
+ */
+export class PatternRule {
+  /**
+   * @param {string} source パターン
+   */
+  constructor(source) {
+    if (typeof source !== 'string' || !source) {
+      throw new Error('パターンが指定されていません');
+    }
+    if (source.length > MAX_PATTERN_LENGTH) {
+      throw new Error(`パターンが長すぎます（${MAX_PATTERN_LENGTH}文字まで）`);
+    }
+
+    try {
+      this.regex = RE2JS.compile(source);
+    } catch (error) {
+      throw new Error(`パターンが正しくありません: ${error.message}`);
+    }
+
+    this.source = source;
+    this.groupCount = this.regex.groupCount();
+    this.namedGroups = { ...this.regex.namedGroups() };
+    this.targetGroup = this.namedGroups.target ?? 0;
+  }
+
+  /**
+   * 文章中のすべての一致を探す（空の一致は除く）
+   * @param {string} text 対象の文章
+   * @returns {Array} 一致一覧 { start, end, groups }（start・end は置換する範囲）
+   */
+  findAll(text) {
+    const matcher = this.regex.matcher(text);
+    const matches = [];
+
+    while (matcher.find()) {
+      const start = matcher.start(this.targetGroup);
+      const end = matcher.end(this.targetGroup);
+      if (start < 0 || end <= start) continue;
+
+      const groups = [];
+      for (let group = 0; group <= this.groupCount; group++) {
+        groups.push(matcher.group(group));
+      }
+      matches.push({ start, end, groups });
+    }
+
+    return matches;
+  }
+
+  /**
+   * 置換テンプレートを展開する
+   * @param {string} template テンプレート（「$1させていただ$2」など）
+   * @param {Array} groups 一致したグループ（0は一致全体）
+   * @returns {string} 置換後の表記
+   */
+  expand(template, groups) {
+    return template.replace(TEMPLATE_REFERENCE, (whole, number, name, dollar) => {
+      if (dollar) return '$';
+      if (number !== undefined) return groups[Number(number)] ?? '';
+      if (name !== undefined) return groups[this.namedGroups[name]] ?? '';
+      return groups[0];
+    });
+  }
+
+  /**
+   * テンプレートが存在しないグループを参照していないか確認する
+   * @param {string} template テンプレート
+   * @returns {Array} エラーメッセージ
+   */
+  validateTemplate(template) {
+    const errors = [];
+    for (const [, number, name] of template.matchAll(TEMPLATE_REFERENCE)) {
+      if (number !== undefined && Number(number) > this.groupCount) {
+        errors.push(`テンプレートの $${number} に対応するグループがありません`);
+      }
+      if (name !== undefined && this.namedGroups[name] === undefined) {
+        errors.push(`テンプレートの $<${name}> に対応するグループがありません`);
+      }
+    }
+    return errors;
+  }
+}
@@ -1,117 +1,954 @@
 import fs from 'fs';
+import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { RuleConditions } from './ruleConditions.js';
+import { AhoCorasick } from './ahoCorasick.js';
+import { PatternRule } from './patternRule.js';
+import { TextNormalizer } from './textNormalizer.js';
+import { PunctuationChecker } from './punctuationChecker.js';
+import { StyleChecker } from './styleChecker.js';
+import { KanjiTable } from './kanjiTable.js';
+import { GradeKanjiChecker } from './gradeKanjiChecker.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// ルール表記中の文脈ヒント「（成果）をあげる」「更に（検討する）」
+const LEADING_HINT = /^[（(]([^（）()]+)[）)]/;
+const TRAILING_HINT = /[（(]([^（）()]+)[）)]$/;
+
+// 任意の語句を表す記号（「～の為」「○○どうし」）
+const WILDCARD_MARKS = /^(?:[～〜]|○○)/;
+
+// 具体的な語ではなく意味の種類を表すヒント（「場所に」「人に」など）
+const SEMANTIC_PLACEHOLDERS = ['場所', '物・事象', '人'];
+
+// 後続文脈をワイルドカードで探す範囲（文字数）
+const FOLLOWING_CONTEXT_WINDOW = 20;
+
+const KANA_ONLY = /^[ぁ-ゖー]+$/;
+
 export class ProofreadingEngine {
-  constructor() {
-    this.rules = this.loadRules();
+  /**
+   * @param {Object} options オプション
+   * @param {Array} options.ruleSets 使用するルールセット { id, rules }（優先度の高い順）。省略時はあゆみ表記ルール
+   */
+  constructor(options = {}) {
+    this.ruleConditions = new RuleConditions();
+    this.tokenizer = null;
+
+    if (options.ruleSets) {
+      this.setRuleSets(options.ruleSets);
+    } else {
+      this.loadRules();
+    }
   }
 
   /**
-   * 校正ルールの読み込み
+   * 形態素解析器を設定する
+   * 設定するとルールは単語の境界でのみ一致し、品詞・読みなどの条件も判定する
+   * （条件付きのルールは解析器が設定されるまで適用しない）
+   * @param {Object|null} tokenizer tokenize(text) を持つ解析器
+   */
+  setTokenizer(tokenizer) {
+    this.tokenizer = tokenizer;
+  }
+
+  /**
+   * 既定のルールセット（あゆみ表記ルール）の読み込み
+   * 登録簿から使う場合と同じくルールセットとして設定し、正規化・句読点などの設定も使う
    */
   loadRules() {
+    let ruleSet = { id: null, rules: [] };
     try {
-      const rulesPath = path.join(__dirname, '../data/ayumiRules.json');
+      const rulesPath = path.join(__dirname, '../data/rulesets/ayumiRules.json');
       const rulesData = fs.readFileSync(rulesPath, 'utf8');
-      const parsed = JSON.parse(rulesData);
-      return parsed.rules;
+      ruleSet = JSON.parse(rulesData);
     } catch (error) {
       console.error('校正ルールの読み込みに失敗しました:', error);
-      return [];
     }
+
+    this.setRuleSets([ruleSet]);
+    return ruleSet.rules;
   }
 
   /**
-   * 文章を推敲する
-   * @param {string} text 推敲対象の文章
-   * @returns {Object} 推敲結果
+   * 校正ルールを設定し、照合用のオートマトンを構築する
+   * @param {Array} rules 校正ルール
+   */
+  setRules(rules) {
+    this.setRuleSets([{ id: null, rules }]);
+  }
+
+  /**
+   * 複数のルールセットを優先度の高い順に組み合わせて設定する
+   * 上位のルールセットが扱う語句（誤り表記・正しい表記のどちらか）を
+   * 対象にする下位のルールは使わない（上位の修正を打ち消さないため）
+   * @param {Array} ruleSets ルールセット { id, rules } の一覧
    */
-  proofread(text) {
-    const originalText = text;
-    let correctedText = text;
-    const allChanges = [];
+  setRuleSets(ruleSets) {
+    this.ruleSets = ruleSets;
+    this.rules = [];
+    this.compiledRules = [];
+    const claimed = new Set();
+
+    for (const ruleSet of ruleSets) {
+      const rules = ruleSet.id ? ruleSet.rules.map(rule => ({ ...rule, ruleSet: ruleSet.id })) : ruleSet.rules;
+      const compiled = this.compileRules(rules)
+        .filter(compiledRule => compiledRule.pattern || !claimed.has(compiledRule.target));
+
+      compiled.filter(compiledRule => !compiledRule.pattern).forEach(compiledRule => {
+        claimed.add(compiledRule.target);
+        claimed.add(compiledRule.replacement);
+      });
+
+      this.rules.push(...rules);
+      this.compiledRules.push(...compiled);
+    }
+
+    this.ruleGroups = this.groupByTarget(this.compiledRules);
+    this.patternRules = this.compiledRules.filter(compiledRule => compiledRule.pattern);
+
+    // 全角・半角・数字の正規化と句読点の確認は、設定を持つ最も優先度の高いルールセットに従う
+    const normalizing = ruleSets.find(ruleSet => ruleSet.normalization);
+    const punctuating = ruleSets.find(ruleSet => ruleSet.punctuation);
+    this.normalizers = [
+      normalizing && this.createChecker(TextNormalizer, normalizing, normalizing.normalization),
+      punctuating && this.createChecker(PunctuationChecker, punctuating, punctuating.punctuation)
+    ].filter(Boolean);
+
+    // 文体の確認は設定がなくても既定値で行う
+    const diagnosing = ruleSets.find(ruleSet => ruleSet.diagnostics);
+    this.styleChecker = (diagnosing && this.createChecker(StyleChecker, diagnosing, diagnosing.diagnostics)) || new StyleChecker();
+
+    // 置換対象の語句をすべて一つのオートマトンにまとめる
+    this.matcher = new AhoCorasick();
+    for (const [target, group] of this.ruleGroups) {
+      this.matcher.add(target, group);
+    }
+    this.matcher.build();
+  }
+
+  /**
+   * ルールセットの設定から正規化・確認の処理（TextNormalizer・PunctuationChecker・StyleChecker）を作成
+   * 設定が正しくない場合はその処理を行わない
+   * @param {Function} Checker 処理のクラス
+   * @param {Object} ruleSet 設定を持つルールセット
+   * @param {Object} config 設定
+   * @returns {Object|null} 処理
+   */
+  createChecker(Checker, ruleSet, config) {
+    try {
+      return new Checker(config, ruleSet.id || null);
+    } catch (error) {
+      console.error(`ルールセットの設定を読み込めませんでした（${ruleSet.id}）:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * ルールを照合用の形式に変換する
+   * 「（成果）をあげる」のような括弧書きは文脈条件として扱い、
+   * 実際に置換するのは括弧の外側の語句だけにする
+   * @param {Array} rules 校正ルール
+   * @returns {Array} 照合用ルール
+   */
+  compileRules(rules) {
+    const compiled = [];
+
+    for (const rule of rules) {
+      // 無効化されたルールは照合しない
+      if (rule.enabled === false) {
+        continue;
+      }
+
+      if (rule.pattern) {
+        const compiledPattern = this.compilePatternRule(rule);
+        if (compiledPattern) {
+          compiled.push(compiledPattern);
+        }
+        continue;
+      }
+
+      const correct = this.parseContextHints(rule.correct);
 
-    // 各ルールを適用
-    for (const rule of this.rules) {
       for (const incorrectForm of rule.incorrect) {
+        const incorrect = this.parseContextHints(incorrectForm);
+
         // 実際に変更があるかチェック（同じ文字列の場合はスキップ）
-        if (incorrectForm === rule.correct) {
+        if (!incorrect.target || incorrect.target === correct.target) {
           continue;
         }
 
-        // パターンマッチングと置換
-        const regex = new RegExp(this.escapeRegExp(incorrectForm), 'g');
-        let match;
-
-        // まず全てのマッチ位置を記録
-        const matches = [];
-        let regexMatch;
-        while ((regexMatch = regex.exec(correctedText)) !== null) {
-          matches.push({
-            start: regexMatch.index,
-            end: regexMatch.index + incorrectForm.length,
-            text: regexMatch[0]
-          });
-          
-          // 無限ループ防止
-          if (regex.lastIndex === regexMatch.index) {
-            regex.lastIndex++;
-          }
+        // 「～したり、～したり」のような用例の説明は自動置換できない
+        if (WILDCARD_MARKS.test(correct.target) || /[～〜]|○○/.test(correct.target.slice(1))) {
+          continue;
         }
 
-        // マッチがある場合、全て置換して変更履歴に追加
-        if (matches.length > 0) {
-          // 全置換を実行
-          correctedText = correctedText.replace(new RegExp(this.escapeRegExp(incorrectForm), 'g'), rule.correct);
-          
-          // 各マッチを変更履歴に追加
-          matches.forEach(matchInfo => {
-            const change = {
-              original: incorrectForm,
-              corrected: rule.correct,
-              position: {
-                start: matchInfo.start,
-                end: matchInfo.end
-              },
-              rule: rule
-            };
-            allChanges.push(change);
-          });
+        compiled.push({
+          rule,
+          form: incorrectForm,
+          target: incorrect.target,
+          replacement: correct.target,
+          // 誤り表記に文脈がなければ正しい表記側の文脈を使う（「（人に）出会う」）
+          before: incorrect.before || correct.before,
+          after: incorrect.after || correct.after,
+          conditions: this.ruleConditions.fromRule(rule),
+          // 漢字をかなに開くルールは、その読み方をしている箇所だけを対象にする
+          // （一字の漢字は辞書の読みが文脈で変わらないため判定しない）
+          reading: KANA_ONLY.test(correct.target) && !KANA_ONLY.test(incorrect.target) && incorrect.target.length > 1
+            ? correct.target
+            : null
+        });
+      }
+    }
+
+    return compiled;
+  }
+
+  /**
+   * 正規表現ルールを照合用の形式に変換する（パターンが正しくないルールは使わない）
+   * @param {Object} rule 校正ルール（pattern・correct は置換テンプレート）
+   * @returns {Object|null} 照合用ルール
+   */
+  compilePatternRule(rule) {
+    try {
+      const pattern = new PatternRule(rule.pattern);
+      const templateErrors = pattern.validateTemplate(rule.correct);
+      if (templateErrors.length > 0) {
+        throw new Error(templateErrors.join('、'));
+      }
+
+      return {
+        rule,
+        form: rule.pattern,
+        pattern,
+        target: null,
+        replacement: rule.correct,
+        before: null,
+        after: null,
+        conditions: this.ruleConditions.fromRule(rule),
+        reading: null
+      };
+    } catch (error) {
+      console.error(`正規表現ルール ${rule.id || rule.pattern} を使用できません:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 置換対象の語句ごとにルールをまとめる
+   * 同じ語句に複数のルールがある場合は、一致箇所ごとに条件で選ぶ
+   * @param {Array} compiledRules 照合用ルール
+   * @returns {Map} 語句 → 照合用ルールの一覧
+   */
+  groupByTarget(compiledRules) {
+    const groups = new Map();
+    compiledRules.forEach((compiledRule, order) => {
+      compiledRule.order = order;
+      compiledRule.specificity = this.ruleConditions.countConditions(compiledRule.conditions) +
+        (compiledRule.before ? 1 : 0) + (compiledRule.after ? 1 : 0);
+      // 正規表現ルールは語句ではなくパターンで照合する
+      if (compiledRule.pattern) return;
+      if (!groups.has(compiledRule.target)) {
+        groups.set(compiledRule.target, []);
+      }
+      groups.get(compiledRule.target).push(compiledRule);
+    });
+    return groups;
+  }
+
+  /**
+   * 表記から文脈ヒントを取り出す
+   * @param {string} form ルール上の表記
+   * @returns {Object} 置換対象の語句と前後の文脈条件
+   */
+  parseContextHints(form) {
+    let target = form.trim();
+    let before = null;
+    let after = null;
+
+    const leading = target.match(LEADING_HINT);
+    if (leading) {
+      before = this.parseHint(leading[1]);
+      target = target.slice(leading[0].length);
+    }
+
+    const trailing = target.match(TRAILING_HINT);
+    if (trailing) {
+      after = this.parseHint(trailing[1]);
+      target = target.slice(0, -trailing[0].length);
+    }
+
+    // 「～の為」「○○どうし」は直前に何らかの語があることだけを求める
+    const wildcard = target.match(WILDCARD_MARKS);
+    if (wildcard && !before) {
+      before = { text: '', wildcard: true };
+      target = target.slice(wildcard[0].length);
+    }
+
+    return { target, before, after };
+  }
+
+  /**
+   * 括弧内のヒントを文脈条件に変換する
+   * @param {string} hint 括弧内の文字列（「～に」「成果」「場所に」など）
+   * @returns {Object} 文脈条件 { text, wildcard }
+   */
+  parseHint(hint) {
+    let text = hint.trim();
+    let wildcard = false;
+
+    const mark = text.match(WILDCARD_MARKS);
+    if (mark) {
+      wildcard = true;
+      text = text.slice(mark[0].length);
+    } else {
+      const placeholder = SEMANTIC_PLACEHOLDERS.find(word => text.startsWith(word));
+      if (placeholder) {
+        wildcard = true;
+        text = text.slice(placeholder.length);
+      }
+    }
+
+    return { text, wildcard };
+  }
+
+  /**
+   * 一致箇所が文脈条件を満たすか判定
+   * @param {string} text 対象の文章
+   * @param {number} start 一致開始位置
+   * @param {number} end 一致終了位置
+   * @param {Object} compiledRule 照合用ルール
+   * @returns {boolean} 条件を満たす場合true
+   */
+  matchesContext(text, start, end, compiledRule) {
+    const { before, after } = compiledRule;
+
+    if (before) {
+      const preceding = text.slice(0, start);
+      if (before.text) {
+        if (!preceding.endsWith(before.text)) return false;
+        // ワイルドカード付きのヒントは、さらにその前に語があること
+        if (before.wildcard && !/[^\s。、]$/.test(preceding.slice(0, -before.text.length))) return false;
+      } else if (!/[^\s。、]$/.test(preceding)) {
+        return false;
+      }
+    }
+
+    if (after) {
+      const following = text.slice(end);
+      if (after.wildcard) {
+        // 句読点までの一定範囲内に後続語があればよい
+        const clause = following.slice(0, FOLLOWING_CONTEXT_WINDOW).split(/[。、\n]/)[0];
+        if (!clause.includes(after.text)) return false;
+      } else if (!following.startsWith(after.text)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * 一致箇所が単語の境界・読み・ルールの条件を満たすか判定
+   * @param {Array} tokens 形態素解析結果
+   * @param {Object} tokenIndex 開始・終了位置からトークンを引く索引
+   * @param {number} start 一致開始位置
+   * @param {number} end 一致終了位置
+   * @param {Object} compiledRule 照合用ルール
+   * @returns {Object|null} 満たした場合は { satisfied }（判定に使った条件）、満たさない場合null
+   */
+  matchesTokens(tokens, tokenIndex, start, end, compiledRule) {
+    const first = tokenIndex.byStart.get(start);
+    let last = tokenIndex.byEnd.get(end);
+
+    // 正規表現ルールは活用語尾の手前（「出来る」の「出来」）で終わってもよい
+    if (compiledRule.pattern && first !== undefined && last === undefined) {
+      last = first;
+      while (last < tokens.length - 1 && tokens[last].end < end) last++;
+    }
+
+    // 単語の途中で始まる・終わる一致は対象外（「いくつか」の「いく」など）
+    if (first === undefined || last === undefined || last < first) {
+      return null;
+    }
+
+    if (compiledRule.reading) {
+      const span = tokens.slice(first, last + 1);
+      if (span.every(token => token.reading)) {
+        const reading = span.map(token => token.reading).join('');
+        if (this.normalizeReading(reading) !== this.normalizeReading(compiledRule.reading)) {
+          return null;
         }
       }
     }
 
-    // 変更位置の調整（後ろから順に処理して位置ずれを防ぐ）
-    allChanges.sort((a, b) => b.position.start - a.position.start);
+    if (!compiledRule.conditions) {
+      return { satisfied: [] };
+    }
+
+    const result = this.ruleConditions.evaluate(compiledRule.conditions, tokens, first, last);
+    return result.passed ? { satisfied: result.satisfied } : null;
+  }
+
+  /**
+   * 読みの比較用に正規化（連濁「こと/ごと」の違いは無視する）
+   * @param {string} reading ひらがなの読み
+   * @returns {string} 正規化した読み
+   */
+  normalizeReading(reading) {
+    return reading.normalize('NFD').replace(/[\u3099\u309A]/g, '');
+  }
+
+  /**
+   * トークンの開始・終了位置の索引を作成
+   * @param {Array} tokens 形態素解析結果
+   * @returns {Object} { byStart, byEnd }
+   */
+  indexTokens(tokens) {
+    const byStart = new Map();
+    const byEnd = new Map();
+    tokens.forEach((token, index) => {
+      byStart.set(token.start, index);
+      byEnd.set(token.end, index);
+    });
+    return { byStart, byEnd };
+  }
 
-    const result = {
+  /**
+   * 一致箇所に適用するルールを選ぶ
+   * 条件を満たすルールのうち、条件の多いもの → 定義順の早いもの を採用する
+   * @param {Array} candidates 同じ語句を対象とする照合用ルール
+   * @param {string} text 対象の文章
+   * @param {number} start 一致開始位置
+   * @param {number} end 一致終了位置
+   * @param {Array|null} tokens 形態素解析結果（解析器がなければnull）
+   * @param {Object|null} tokenIndex トークンの索引
+   * @returns {Object|null} { compiledRule, decidedBy, alternatives }（適用しない場合null）
+   */
+  selectRule(candidates, text, start, end, tokens, tokenIndex) {
+    let best = null;
+    const passed = [];
+
+    for (const compiledRule of candidates) {
+      if (!this.matchesContext(text, start, end, compiledRule)) {
+        continue;
+      }
+
+      let satisfied = [];
+      if (tokens) {
+        const result = this.matchesTokens(tokens, tokenIndex, start, end, compiledRule);
+        if (!result) continue;
+        satisfied = result.satisfied;
+      } else if (compiledRule.conditions) {
+        // 品詞などの条件は形態素解析なしでは判定できない
+        continue;
+      }
+
+      passed.push(compiledRule);
+      if (!best || compiledRule.specificity > best.compiledRule.specificity) {
+        best = { compiledRule, satisfied };
+      }
+    }
+
+    if (!best) {
+      return null;
+    }
+
+    const decidedBy = [...best.satisfied];
+    const { before, after } = best.compiledRule;
+    if (before && before.text) {
+      decidedBy.push({ type: 'context.before', expected: before.text, message: `直前が「${before.text}」` });
+    }
+    if (after && after.text) {
+      decidedBy.push({ type: 'context.after', expected: after.text, message: `後に「${after.text}」が続く` });
+    }
+
+    // 同じ語句に複数のルールがある場合は、どれを退けたかも残す
+    if (candidates.length > 1) {
+      decidedBy.push({
+        type: 'competition',
+        rejected: candidates
+          .filter(candidate => candidate !== best.compiledRule)
+          .map(candidate => candidate.replacement),
+        message: `競合するルール${candidates.length}件から選択`
+      });
+    }
+
+    // 条件を満たしたほかのルールの表記は代替候補として残す
+    const alternatives = passed
+      .filter(compiledRule => compiledRule !== best.compiledRule)
+      .map(compiledRule => compiledRule.replacement)
+      .filter((replacement, index, list) => replacement !== best.compiledRule.replacement && list.indexOf(replacement) === index);
+
+    return { compiledRule: best.compiledRule, decidedBy, alternatives };
+  }
+
+  /**
+   * 文章を推敲する
+   * すべての一致候補を元の文章に対して探し、重なりを解消してから一度に置換する
+   * @param {string} text 推敲対象の文章
+   * @param {Object} options オプション
+   * @param {string} options.mode 'correct'（既定: 置換した文章を返す）または 'suggest'（指摘のみ返す）
+   * @param {number} options.targetGrade 対象学年（1〜6）。指定するとその学年までに習わない漢字を指摘する
+   * @returns {Object} 推敲結果
+   */
+  proofread(text, options = {}) {
+    const matches = this.findMatches(text, options);
+    const diagnostics = this.diagnose(text, options);
+
+    if (options.mode === 'suggest') {
+      const suggestions = matches.map(match => this.createSuggestion(match));
+
+      console.log('校正候補の抽出完了:', {
+        originalLength: text.length,
+        suggestionsCount: suggestions.length,
+        diagnosticsCount: diagnostics.length,
+        rules: this.rules.length
+      });
+
+      return {
+        originalText: text,
+        correctedText: text,
+        suggestions,
+        totalSuggestions: suggestions.length,
+        changes: [],
+        totalChanges: 0,
+        diagnostics
+      };
+    }
+
+    const result = this.buildResult(text, matches);
+    result.diagnostics = diagnostics;
+
+    console.log('校正処理完了:', {
+      originalLength: text.length,
+      correctedLength: result.correctedText.length,
+      changesCount: result.totalChanges,
+      diagnosticsCount: diagnostics.length,
+      rules: this.rules.length
+    });
+
+    return result;
+  }
+
+  /**
+   * 文単位の文体を確認する（敬体・常体の混在、長い文など）
+   * 置換はせず、位置つきの警告だけを返す
+   * 対象学年を指定した場合は、読みが分からずひらがなにできない漢字も加える
+   * @param {string} text 対象の文章
+   * @param {Object} options オプション（targetGrade）
+   * @returns {Array} 指摘一覧 { type, severity, span, text, message }
+   */
+  diagnose(text, options = {}) {
+    const diagnostics = this.styleChecker.check(text, this.tokenizer);
+    const gradeChecker = this.createGradeChecker(options.targetGrade);
+    if (!gradeChecker) {
+      return diagnostics;
+    }
+    return [...diagnostics, ...gradeChecker.diagnose(text)]
+      .sort((a, b) => a.span.start - b.span.start || a.span.end - b.span.end);
+  }
+
+  /**
+   * 学年別漢字の確認を作成する（漢字表は初めて使うときに読み込む）
+   * @param {number|undefined} targetGrade 対象学年（1〜6）
+   * @returns {GradeKanjiChecker|null} 確認の処理（学年を指定しない場合null）
+   */
+  createGradeChecker(targetGrade) {
+    if (targetGrade === undefined || targetGrade === null) {
+      return null;
+    }
+    this.kanjiTable ??= new KanjiTable();
+    return new GradeKanjiChecker(targetGrade, this.kanjiTable, this.tokenizer);
+  }
+
+  /**
+   * 採用された指摘だけを元の文章に適用する
+   * @param {string} text 元の文章（提案モードで校正したときと同じもの）
+   * @param {Array} accepted 採用する指摘ID、または { id, replacement }（代替候補を選ぶ場合）
+   * @param {Object} options オプション（校正したときと同じ targetGrade）
+   * @returns {Object} 推敲結果（proofread() と同じ形式）
+   * @throws {Error} 指摘の位置にいまも一致があるのに、ルールか修正案が変わっている場合
+   */
+  applySuggestions(text, accepted, options = {}) {
+    const selections = new Map();
+    for (const item of accepted) {
+      if (typeof item === 'string') {
+        selections.set(item, null);
+      } else if (item && typeof item.id === 'string') {
+        selections.set(item.id, item.replacement ?? null);
+      }
+    }
+
+    const matches = [];
+    const current = new Map(); // 位置 → いまの指摘ID
+    for (const match of this.findMatches(text, options)) {
+      const id = this.createSuggestionId(match);
+      current.set(`${match.start}-${match.end}`, id);
+      if (!selections.has(id)) continue;
+
+      const replacement = selections.get(id);
+      if (replacement !== null) {
+        if (![match.replacement, ...match.alternatives].includes(replacement)) {
+          throw new Error(`指摘 ${id} の候補にない表記です: ${replacement}`);
+        }
+        matches.push({ ...match, replacement, optional: false });
+      } else {
+        matches.push({ ...match, optional: false });
+      }
+      selections.delete(id);
+    }
+
+    // ルールの編集などで同じ位置の指摘が別の内容になっていたら、採用されたものと違う修正をしないよう中止する
+    for (const id of selections.keys()) {
+      const span = id.match(/^(\d+-\d+)-/)?.[1];
+      if (span && current.has(span)) {
+        throw new Error(`指摘 ${id} のルールまたは修正案が変わっています。もう一度校正してください`);
+      }
+    }
+
+    const result = this.buildResult(text, matches);
+    // 文章が変わったなどで見つからなかった指摘
+    result.unmatched = [...selections.keys()];
+
+    console.log('指摘の適用完了:', {
+      accepted: accepted.length,
+      applied: result.totalChanges,
+      unmatched: result.unmatched.length
+    });
+
+    return result;
+  }
+
+  /**
+   * 一致候補を探し、重なりを解消した一致一覧を返す
+   * @param {string} text 対象の文章
+   * @param {Object} options オプション（targetGrade）
+   * @returns {Array} 採用した一致（位置順）
+   */
+  findMatches(text, options = {}) {
+    const matches = this.resolveOverlaps(this.findCandidates(text), text.length);
+    // 学年別漢字の確認は最後に行い、ほかの変換の置換後の表記もひらがなにする
+    const gradeChecker = this.createGradeChecker(options.targetGrade);
+    const normalizers = gradeChecker ? [...this.normalizers, gradeChecker] : this.normalizers;
+    return normalizers.length > 0 ? this.addNormalizations(text, matches, normalizers) : matches;
+  }
+
+  /**
+   * 全角・半角・数字の正規化、句読点の確認、学年別漢字の確認による変換を一致一覧に加える
+   * ルールの一致と重なる箇所はルールの置換後の表記のほうをそろえる
+   * （「３ヶ月」→「３か月」のルールと数字の正規化を「3か月」にまとめる）
+   * @param {string} text 対象の文章
+   * @param {Array} matches ルールの一致（位置順）
+   * @param {Array} normalizers 正規化処理（既定はルールセットの設定によるもの）
+   * @returns {Array} 変換を加えた一致（位置順）
+   */
+  addNormalizations(text, matches, normalizers = this.normalizers) {
+    return normalizers.reduce((result, normalizer) => this.mergeNormalizations(text, result, normalizer), matches);
+  }
+
+  /**
+   * 一つの正規化処理の変換箇所を一致一覧に加える
+   * 文字を挿入する変換（句点の補充）は、ほかの一致の範囲の内側でなければそのまま加える
+   * 既定では適用しない処理（optional。学年別漢字）の変換は optional の一致とし、ルールの置換後の表記は変えずに代替候補に加える
+   * @param {string} text 対象の文章
+   * @param {Array} matches これまでの一致（位置順）
+   * @param {Object} normalizer findAll(text)・normalize(text) を持つ正規化処理
+   * @returns {Array} 変換を加えた一致（位置順）
+   */
+  mergeNormalizations(text, matches, normalizer) {
+    const found = normalizer.findAll(text);
+    if (found.length === 0) {
+      return matches;
+    }
+
+    const result = [...matches];
+    const occupied = new Int32Array(text.length).fill(-1);
+    result.forEach((match, index) => occupied.fill(index, match.start, match.end));
+
+    const overlapped = new Set();
+
+    for (const item of found) {
+      if (item.start === item.end) {
+        // 挿入は一致の範囲の内側（前後の文字が同じ一致）でなければ加える
+        const inside = item.start > 0 && occupied[item.start - 1] >= 0 && occupied[item.start - 1] === occupied[item.start];
+        if (inside) continue;
+      }
+
+      const overlapping = new Set();
+      for (let i = item.start; i < item.end; i++) {
+        if (occupied[i] >= 0) overlapping.add(result[occupied[i]]);
+      }
+      if (overlapping.size > 0) {
+        overlapping.forEach(match => overlapped.add(match));
+        continue;
+      }
+
+      occupied.fill(result.length, item.start, item.end);
+      result.push({
+        start: item.start,
+        end: item.end,
+        original: text.slice(item.start, item.end),
+        replacement: item.replacement,
+        alternatives: item.alternatives || [],
+        rule: item.rule,
+        context: null,
+        decidedBy: [],
+        priority: 0,
+        specificity: 0,
+        order: 0,
+        optional: Boolean(normalizer.optional)
+      });
+    }
+
+    return result
+      .filter(match => {
+        if (overlapped.has(match) && normalizer.optional) {
+          const normalized = normalizer.normalize(match.replacement);
+          if (normalized !== match.replacement && !match.alternatives.includes(normalized)) {
+            match.alternatives = [...match.alternatives, normalized];
+          }
+        } else if (overlapped.has(match)) {
+          match.replacement = normalizer.normalize(match.replacement);
+          match.alternatives = match.alternatives.map(alternative => normalizer.normalize(alternative));
+        }
+        return match.replacement !== match.original;
+      })
+      // 同じ位置では挿入を先にする
+      .sort((a, b) => a.start - b.start || a.end - b.end);
+  }
+
+  /**
+   * 一致一覧から校正後の文章と変更履歴を組み立てる
+   * @param {string} originalText 元の文章
+   * @param {Array} matches 適用する一致（位置順。optional の一致は適用せず accepted: false の変更として記録する）
+   * @returns {Object} 推敲結果
+   */
+  buildResult(originalText, matches) {
+    // 元の文章の先頭から順に置換し、校正後の位置も記録する
+    let correctedText = '';
+    let cursor = 0;
+    const allChanges = matches.map(match => {
+      correctedText += originalText.slice(cursor, match.start);
+      const correctedStart = correctedText.length;
+      correctedText += match.optional ? originalText.slice(match.start, match.end) : match.replacement;
+      cursor = match.end;
+
+      const change = {
+        id: this.createSuggestionId(match),
+        original: originalText.slice(match.start, match.end),
+        corrected: match.replacement,
+        position: {
+          start: match.start,
+          end: match.end
+        },
+        correctedPosition: {
+          start: correctedStart,
+          end: correctedText.length
+        },
+        rule: match.rule
+      };
+      if (match.context) {
+        change.context = match.context;
+      }
+      if (match.alternatives.length > 0) {
+        change.alternatives = match.alternatives;
+      }
+      if (match.decidedBy.length > 0) {
+        change.decidedBy = match.decidedBy;
+      }
+      if (match.optional) {
+        change.accepted = false;
+      }
+      return change;
+    });
+    correctedText += originalText.slice(cursor);
+
+    return {
       originalText,
       correctedText,
       changes: allChanges,
       totalChanges: allChanges.length
     };
+  }
 
-    console.log('校正処理完了:', {
-      originalLength: originalText.length,
-      correctedLength: correctedText.length,
-      changesCount: allChanges.length,
-      rules: this.rules.length
-    });
+  /**
+   * 一致を指摘（提案）の形式に変換
+   * @param {Object} match 一致
+   * @returns {Object} 指摘 { id, span, original, candidates, rule, severity }
+   */
+  createSuggestion(match) {
+    const suggestion = {
+      id: this.createSuggestionId(match),
+      span: {
+        start: match.start,
+        end: match.end
+      },
+      original: match.original,
+      candidates: [match.replacement, ...match.alternatives],
+      rule: match.rule,
+      severity: match.rule.severity || 'warning'
+    };
+    if (match.decidedBy.length > 0) {
+      suggestion.decidedBy = match.decidedBy;
+    }
+    return suggestion;
+  }
 
-    return result;
+  /**
+   * 指摘IDを作成（位置・ルールID・修正案のハッシュ。同じ文章・同じルールなら同じIDになる）
+   * @param {Object} match 一致
+   * @returns {string} 指摘ID（例: 12-15-ayumi-3-1a2b3c4d）
+   */
+  createSuggestionId(match) {
+    const hash = crypto.createHash('sha256').update(match.replacement).digest('hex').slice(0, 8);
+    return `${match.start}-${match.end}-${match.rule.id}-${hash}`;
+  }
+
+  /**
+   * 元の文章からすべての一致候補を探す
+   * @param {string} text 対象の文章
+   * @returns {Array} 一致候補 { start, end, original, replacement, alternatives, rule, context, decidedBy, priority, specificity, order }
+   */
+  findCandidates(text) {
+    const tokenLookup = this.tokenizer ? this.createTokenLookup(text) : null;
+    const candidates = [];
+
+    for (const { start, end, value: group } of this.matcher.search(text)) {
+      const sentence = tokenLookup ? tokenLookup(start, end) : null;
+      const selected = this.selectRule(
+        group, text, start, end,
+        sentence ? sentence.tokens : null,
+        sentence ? sentence.tokenIndex : null
+      );
+      if (selected) {
+        candidates.push(this.createCandidate(text, start, end, selected));
+      }
+    }
+
+    for (const patternRule of this.patternRules) {
+      for (const { start, end, groups } of patternRule.pattern.findAll(text)) {
+        const replacement = patternRule.pattern.expand(patternRule.replacement, groups);
+        if (replacement === text.slice(start, end)) continue;
+
+        const sentence = tokenLookup ? tokenLookup(start, end) : null;
+        const selected = this.selectRule(
+          [{ ...patternRule, replacement }], text, start, end,
+          sentence ? sentence.tokens : null,
+          sentence ? sentence.tokenIndex : null
+        );
+        if (selected) {
+          candidates.push(this.createCandidate(text, start, end, selected));
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * 選ばれたルールから一致候補を作成
+   * @param {string} text 対象の文章
+   * @param {number} start 一致開始位置
+   * @param {number} end 一致終了位置
+   * @param {Object} selected selectRule() の結果
+   * @returns {Object} 一致候補
+   */
+  createCandidate(text, start, end, selected) {
+    const { compiledRule } = selected;
+    return {
+      start,
+      end,
+      original: text.slice(start, end),
+      replacement: compiledRule.replacement,
+      alternatives: selected.alternatives,
+      rule: compiledRule.rule,
+      context: compiledRule.before || compiledRule.after
+        ? { before: compiledRule.before, after: compiledRule.after }
+        : null,
+      decidedBy: selected.decidedBy,
+      priority: compiledRule.rule.priority || 0,
+      specificity: compiledRule.specificity,
+      order: compiledRule.order
+    };
   }
 
   /**
-   * 正規表現用のエスケープ処理
-   * @param {string} string エスケープ対象文字列
-   * @returns {string} エスケープ済み文字列
+   * 一致箇所を含む文だけを形態素解析する関数を作成
+   * 大きな文書でも一致のない文は解析しない
+   * @param {string} text 対象の文章
+   * @returns {Function} (start, end) => { tokens, tokenIndex }（位置は文章全体での位置）
    */
-  escapeRegExp(string) {
-    return string.replace(/[.*+?^${}()|[\\]\\\\]/g, '\\\\$&');
+  createTokenLookup(text) {
+    const cache = new Map();
+
+    return (start, end) => {
+      const sentenceStart = Math.max(
+        text.lastIndexOf('\n', start - 1),
+        text.lastIndexOf('。', start - 1)
+      ) + 1;
+
+      let sentence = cache.get(sentenceStart);
+      if (!sentence || sentence.end < end) {
+        let sentenceEnd = text.length;
+        const breakPattern = /[。\n]/g;
+        breakPattern.lastIndex = Math.max(end - 1, sentenceStart);
+        const found = breakPattern.exec(text);
+        if (found) {
+          sentenceEnd = found.index + 1;
+        }
+
+        const tokens = this.tokenizer.tokenize(text.slice(sentenceStart, sentenceEnd)).map(token => ({
+          ...token,
+          start: token.start + sentenceStart,
+          end: token.end + sentenceStart
+        }));
+        sentence = { end: sentenceEnd, tokens, tokenIndex: this.indexTokens(tokens) };
+        cache.set(sentenceStart, sentence);
+      }
+
+      return sentence;
+    };
+  }
+
+  /**
+   * 重なり合う一致候補を解消する
+   * 長い一致 → ルールの優先度（priority、条件の数、定義順）の順に採用し、
+   * 採用済みの箇所と重なる候補は捨てる
+   * @param {Array} candidates 一致候補
+   * @param {number} length 文章の長さ
+   * @returns {Array} 採用した一致（位置順）
+   */
+  resolveOverlaps(candidates, length) {
+    const ranked = [...candidates].sort((a, b) =>
+      (b.end - b.start) - (a.end - a.start) ||
+      b.priority - a.priority ||
+      b.specificity - a.specificity ||
+      a.order - b.order ||
+      a.start - b.start
+    );
+
+    const occupied = new Uint8Array(length);
+    const accepted = [];
+
+    for (const candidate of ranked) {
+      let free = true;
+      for (let i = candidate.start; i < candidate.end; i++) {
+        if (occupied[i]) {
+          free = false;
+          break;
+        }
+      }
+      if (!free) continue;
+
+      occupied.fill(1, candidate.start, candidate.end);
+      accepted.push(candidate);
+    }
+
+    return accepted.sort((a, b) => a.start - b.start);
   }
 
   /**
@@ -138,4 +975,64 @@ export class ProofreadingEngine {
 
     return categories;
   }
+
+  /**
+   * ルール同士の衝突を検出
+   * - duplicate: 同じ語句を対象にする複数のルール
+   * - contradictory: 互いの正しい表記と誤り表記が入れ替わっているルールの組
+   * 品詞・文脈などの条件で使い分けられている場合は resolved を true にする
+   * @returns {Array} 衝突一覧 { type, target, rules, resolved, message }
+   */
+  findConflicts() {
+    const conflicts = [];
+    const summarize = compiledRules => compiledRules
+      .filter((compiledRule, index) => compiledRules.findIndex(other => other.rule === compiledRule.rule) === index)
+      .map(({ rule }) => ({ id: rule.id, ruleSet: rule.ruleSet, correct: rule.correct, incorrect: rule.incorrect, note: rule.note }));
+    const isConditional = compiledRule => Boolean(compiledRule.conditions || compiledRule.before || compiledRule.after);
+
+    for (const [target, group] of this.ruleGroups) {
+      const rules = summarize(group);
+      if (rules.length < 2) continue;
+
+      // 条件・文脈がすべて異なれば一致箇所ごとに使い分けられる
+      const signatures = group.map(compiledRule => JSON.stringify([compiledRule.conditions, compiledRule.before, compiledRule.after]));
+      const resolved = new Set(signatures).size === signatures.length;
+      const replacements = [...new Set(group.map(compiledRule => compiledRule.replacement))];
+
+      conflicts.push({
+        type: 'duplicate',
+        target,
+        rules,
+        resolved,
+        message: resolved
+          ? `「${target}」は条件によって「${replacements.join('」「')}」に修正されます`
+          : `「${target}」を対象にするルールが${rules.length}件あります（先のルールだけが使われます）`
+      });
+    }
+
+    const reported = new Set();
+    for (const compiledRule of this.compiledRules) {
+      if (compiledRule.pattern) continue;
+      for (const reverse of this.ruleGroups.get(compiledRule.replacement) || []) {
+        if (reverse.replacement !== compiledRule.target || reverse.rule === compiledRule.rule) continue;
+
+        const key = [compiledRule.target, reverse.target].sort().join('\n');
+        if (reported.has(key)) continue;
+        reported.add(key);
+
+        const resolved = isConditional(compiledRule) && isConditional(reverse);
+        conflicts.push({
+          type: 'contradictory',
+          target: compiledRule.target,
+          rules: summarize([compiledRule, reverse]),
+          resolved,
+          message: resolved
+            ? `「${compiledRule.target}」と「${reverse.target}」は条件によって使い分けられます`
+            : `「${compiledRule.target}」と「${reverse.target}」を互いに修正し合います`
+        });
+      }
+    }
+
+    return conflicts;
+  }
 }
\ No newline at end of file
@@ -0,0 +1,282 @@
+// 句読点・記号の変更のカテゴリ
+export const PUNCTUATION_CATEGORY = '句読点・記号';
+
+// 句読点の組み合わせ（style）
+const STYLES = {
+  japanese: { comma: '、', period: '。' },
+  comma: { comma: '，', period: '。' },
+  western: { comma: '，', period: '．' }
+};
+
+// 項目ごとに指定できる値（true/false の項目は OPTIONS にない）
+const OPTIONS = {
+  style: Object.keys(STYLES),
+  wave: ['～', '〜'],
+  parentheses: ['full', 'half']
+};
+const SWITCHES = ['nestedQuotes', 'duplicates', 'sentenceEnd'];
+
+const DEFAULTS = {
+  style: 'japanese',
+  wave: '～',
+  parentheses: 'full',
+  nestedQuotes: true,
+  duplicates: true,
+  sentenceEnd: true
+};
+
+const COMMAS = '、，';
+const PERIODS = '。．';
+
+// 文の終わりとみなす語尾（句点のない段落のうち、これで終わるものだけを指摘する）
+const SENTENCE_ENDING = /(?:です|ます|でした|ました|ません|でしょう|ましょう|ください|である|であった|だった)$/;
+
+// 前後がともに英数字なら句読点にしない（「１，０００」「example．com」「report．pdf」「v1．2」）
+const ALPHANUMERIC = /[0-9A-Za-z０-９Ａ-Ｚａ-ｚ]/;
+
+// URL・メールアドレス（全角の英数字・記号で書かれたものを含む）。中の「．」「，」は句読点にしない
+const ADDRESS_CHARS = '[-0-9A-Za-z._~:/?#@!$&*+,;=%０-９Ａ-Ｚａ-ｚ－．＿～：／？＃＠！＄＆＊＋，；＝％]';
+const ADDRESS_PATTERN = new RegExp(`(?:https?|ｈｔｔｐｓ?)[:：][/／]{2}${ADDRESS_CHARS}+|${ADDRESS_CHARS}+[@＠]${ADDRESS_CHARS}+`, 'g');
+
+// 段落の最後にあれば句点が要らない文字
+const CLOSING_MARKS = /[。．！？!?」』）)】〕…―：:]$/;
+
+/**
+ * 句読点・記号の書き方を確認する
+ * ルールセットの punctuation で設定し、直す箇所を通常のルールと同じ一致として返す
+ *
+ * - style: 句読点の組み合わせ（japanese「、。」・comma「，。」・western「，．」）
+ * - wave: 波ダッシュ（「～」または「〜」）
+ * - parentheses: 「（1)」のように全角と半角が混じった括弧をそろえる向き（full・half）
+ * - nestedQuotes: かぎ括弧の中のかぎ括弧を二重かぎ括弧にする
+ * - duplicates: 「、、」「。。」のような重複した句読点を一つにする
+ * - sentenceEnd: 「です」「ます」などで終わる段落の最後に句点を補う
+ * 省略した項目は既定値を使い、null または false で無効にする
+ */
+export class PunctuationChecker {
+  /**
+   * @param {Object} config 句読点・記号の設定
+   * @param {string|null} ruleSetId 設定を持つルールセットのID
+   */
+  constructor(config, ruleSetId = null) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('句読点の設定が正しくありません');
+    }
+
+    this.options = { ...DEFAULTS };
+    for (const [key, value] of Object.entries(config)) {
+      if (OPTIONS[key]) {
+        if (value !== null && !OPTIONS[key].includes(value)) {
+          throw new Error(`句読点の設定が正しくありません: ${key} は ${OPTIONS[key].join('・')} のいずれかを指定してください`);
+        }
+      } else if (SWITCHES.includes(key)) {
+        if (value !== null && typeof value !== 'boolean') {
+          throw new Error(`句読点の設定が正しくありません: ${key} は true または false を指定してください`);
+        }
+      } else {
+        throw new Error(`句読点の設定が正しくありません: ${key} は指定できません`);
+      }
+      this.options[key] = value;
+    }
+
+    this.marks = this.options.style ? STYLES[this.options.style] : null;
+    this.ruleSetId = ruleSetId;
+    this.rules = {};
+  }
+
+  /**
+   * 変更の記録に使うルール（種類ごとに1つ）
+   * @param {string} kind 種類（style・wave など）
+   * @param {string} note 説明
+   * @returns {Object} ルール
+   */
+  getRule(kind, note) {
+    const key = `${kind}:${note}`;
+    if (!this.rules[key]) {
+      this.rules[key] = {
+        id: `punctuation-${kind}`,
+        category: PUNCTUATION_CATEGORY,
+        note,
+        severity: 'info',
+        ruleSet: this.ruleSetId
+      };
+    }
+    return this.rules[key];
+  }
+
+  /**
+   * 直す必要のある箇所をすべて探す
+   * @param {string} text 対象の文章
+   * @returns {Array} 変換箇所 { start, end, replacement, rule }（位置順。句点の補充は start と end が同じ挿入）
+   */
+  findAll(text) {
+    const found = [
+      ...this.findMarks(text),
+      ...this.findParentheses(text),
+      ...this.findNestedQuotes(text),
+      ...this.findMissingPeriods(text)
+    ];
+    return found.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * 文字列の句読点・波ダッシュをそろえる（ルールの置換後の表記に使う）
+   * 段落全体を見る確認（括弧の対応・句点の補充）は行わない
+   * @param {string} text 文字列
+   * @returns {string} そろえた文字列
+   */
+  normalize(text) {
+    let result = '';
+    let cursor = 0;
+    for (const { start, end, replacement } of this.findMarks(text)) {
+      result += text.slice(cursor, start) + replacement;
+      cursor = end;
+    }
+    return result + text.slice(cursor);
+  }
+
+  /**
+   * 句読点の種類・重複と波ダッシュを探す（URL・メールアドレスの中の句読点は変えない）
+   * @param {string} text 対象の文章
+   * @returns {Array} 変換箇所
+   */
+  findMarks(text) {
+    const found = [];
+    const { wave, duplicates } = this.options;
+
+    if (this.marks || duplicates) {
+      const addresses = [...text.matchAll(ADDRESS_PATTERN)].map(match => ({ start: match.index, end: match.index + match[0].length }));
+      for (const match of text.matchAll(/[、。，．]+/g)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (addresses.some(address => address.start < start && end < address.end)) continue;
+
+        if (match[0].length > 1 && duplicates) {
+          // 句点が含まれていれば句点を一つ、読点だけなら読点を一つ残す
+          const isPeriod = [...match[0]].some(mark => PERIODS.includes(mark));
+          const mark = this.marks
+            ? this.marks[isPeriod ? 'period' : 'comma']
+            : [...match[0]].find(char => (isPeriod ? PERIODS : COMMAS).includes(char));
+          found.push({ start, end, replacement: mark, rule: this.getRule('duplicates', '句読点が重なっている') });
+          continue;
+        }
+        if (!this.marks) continue;
+
+        // 「１，０００」「３．５」のような数字の区切りや、ファイル名・バージョンの「．」は変えない
+        for (let i = start; i < end; i++) {
+          if (ALPHANUMERIC.test(text[i - 1] || '') && ALPHANUMERIC.test(text[i + 1] || '')) continue;
+          const expected = this.marks[PERIODS.includes(text[i]) ? 'period' : 'comma'];
+          if (text[i] !== expected) {
+            found.push({
+              start: i,
+              end: i + 1,
+              replacement: expected,
+              rule: this.getRule('style', `句読点は「${this.marks.comma}${this.marks.period}」にそろえる`)
+            });
+          }
+        }
+      }
+    }
+
+    if (wave) {
+      const other = wave === '～' ? '〜' : '～';
+      const rule = this.getRule('wave', `波ダッシュは「${wave}」にそろえる`);
+      for (const match of text.matchAll(new RegExp(other, 'g'))) {
+        found.push({ start: match.index, end: match.index + 1, replacement: wave, rule });
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * 全角と半角が混じった括弧の組を探す（「（1)」「(注）」）
+   * @param {string} text 対象の文章
+   * @returns {Array} 変換箇所
+   */
+  findParentheses(text) {
+    const { parentheses } = this.options;
+    if (!parentheses) return [];
+
+    const open = parentheses === 'full' ? '（' : '(';
+    const close = parentheses === 'full' ? '）' : ')';
+    const rule = this.getRule('parentheses', `括弧の組は${parentheses === 'full' ? '全角' : '半角'}にそろえる`);
+    const found = [];
+
+    for (const match of text.matchAll(/[（(][^（()）\n]*[）)]/g)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      const isFull = char => char === '（' || char === '）';
+      if (isFull(text[start]) === isFull(text[end - 1])) continue;
+
+      if (text[start] !== open) found.push({ start, end: start + 1, replacement: open, rule });
+      if (text[end - 1] !== close) found.push({ start: end - 1, end, replacement: close, rule });
+    }
+    return found;
+  }
+
+  /**
+   * かぎ括弧の中のかぎ括弧を探す（「「はい」と答えた」→「『はい』と答えた」）
+   * 対応の取れない括弧は段落ごとに無視する
+   * @param {string} text 対象の文章
+   * @returns {Array} 変換箇所
+   */
+  findNestedQuotes(text) {
+    if (!this.options.nestedQuotes) return [];
+
+    const rule = this.getRule('nestedQuotes', 'かぎ括弧の中では二重かぎ括弧を使う');
+    const found = [];
+    let stack = [];
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === '\n') {
+        stack = [];
+      } else if (char === '「' || char === '『') {
+        // 奇数番目の深さにある「」を『』にする
+        const convert = char === '「' && stack.length % 2 === 1;
+        stack.push({ char, start: i, convert });
+      } else if (char === '」' || char === '』') {
+        const open = stack[stack.length - 1];
+        if (!open || (open.char === '「') !== (char === '」')) continue;
+        stack.pop();
+        if (open.convert) {
+          found.push({ start: open.start, end: open.start + 1, replacement: '『', rule });
+          found.push({ start: i, end: i + 1, replacement: '』', rule });
+        }
+      }
+    }
+    return found;
+  }
+
+  /**
+   * 最後に句点のない段落を探す
+   * 見出しや箇条書きを指摘しないよう、文の終わりの語尾で終わる段落と、
+   * 途中に句点がある（文章として書かれている）段落だけを対象にする。
+   * 表のセル（タブ区切り）も一つの段落として扱う
+   * @param {string} text 対象の文章
+   * @returns {Array} 変換箇所（段落の最後の文字の直後に句点を挿入する）
+   */
+  findMissingPeriods(text) {
+    if (!this.options.sentenceEnd) return [];
+
+    const period = this.marks ? this.marks.period : '。';
+    const rule = this.getRule('sentenceEnd', '文の終わりに句点がない');
+    const found = [];
+    let offset = 0;
+
+    for (const line of text.split(/[\t\n]/)) {
+      const paragraph = line.replace(/\s+$/, '');
+      const lineStart = offset;
+      offset += line.length + 1;
+
+      if (!paragraph.trim() || CLOSING_MARKS.test(paragraph)) continue;
+      const hasPeriod = [...PERIODS, '！', '？'].some(mark => paragraph.includes(mark));
+      if (!hasPeriod && !SENTENCE_ENDING.test(paragraph)) continue;
+
+      const end = lineStart + paragraph.length;
+      found.push({ start: end, end, replacement: period, rule });
+    }
+    return found;
+  }
+}
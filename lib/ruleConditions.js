@@ -0,0 +1,240 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// conditions が書かれていないルールは note を品詞条件として扱う
+const NOTE_POS_CONSTRAINTS = {
+  '名詞の場合': ['名詞'],
+  '動詞の場合': ['動詞'],
+  '副詞の場合': ['副詞'],
+  '接続詞の場合': ['接続詞']
+};
+
+// note の「人の場合」「物・事象の場合」は直前の名詞の意味分類として扱う
+const NOTE_SEMANTIC_CONSTRAINTS = {
+  '人の場合': ['人'],
+  '物・事象の場合': ['物・事象']
+};
+
+/**
+ * 校正ルールの適用条件
+ *
+ * ルールの conditions は次の形式で記述する（すべて省略可）
+ * {
+ *   "pos": ["名詞"],                     対象語（複合語は末尾の語）の品詞
+ *   "precedingToken": {                  直前の語の条件
+ *     "skip": ["助詞"],                  判定前に読み飛ばす品詞
+ *     "surface": ["..."],                表記がいずれかに一致
+ *     "excludeSurface": ["法"],          表記がいずれにも一致しない
+ *     "pos": ["名詞"],                   品詞
+ *     "semanticClass": ["人"]            意味分類（人 / 物・事象）
+ *   },
+ *   "followingToken": { ... }            直後の語の条件（precedingToken と同じ形式）
+ * }
+ */
+export class RuleConditions {
+  constructor() {
+    this.semanticClasses = this.loadSemanticClasses();
+  }
+
+  /**
+   * 意味分類の辞書を読み込み
+   */
+  loadSemanticClasses() {
+    try {
+      const classesPath = path.join(__dirname, '../data/semanticClasses.json');
+      const parsed = JSON.parse(fs.readFileSync(classesPath, 'utf8'));
+      return {
+        person: new Set(parsed.person.words),
+        personSuffixes: parsed.person.suffixes
+      };
+    } catch (error) {
+      console.error('意味分類辞書の読み込みに失敗しました:', error);
+      return { person: new Set(), personSuffixes: [] };
+    }
+  }
+
+  /**
+   * ルールの適用条件を取得（conditions がなければ note から導く）
+   * @param {Object} rule 校正ルール
+   * @returns {Object|null} 適用条件
+   */
+  fromRule(rule) {
+    if (rule.conditions && Object.keys(rule.conditions).length > 0) {
+      return rule.conditions;
+    }
+
+    if (NOTE_POS_CONSTRAINTS[rule.note]) {
+      return { pos: NOTE_POS_CONSTRAINTS[rule.note] };
+    }
+
+    if (NOTE_SEMANTIC_CONSTRAINTS[rule.note]) {
+      return {
+        precedingToken: { skip: ['助詞'], semanticClass: NOTE_SEMANTIC_CONSTRAINTS[rule.note] }
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * 一致箇所が条件を満たすか判定
+   * @param {Object} conditions 適用条件
+   * @param {Array} tokens 形態素解析結果
+   * @param {number} first 一致箇所の最初のトークン位置
+   * @param {number} last 一致箇所の最後のトークン位置
+   * @returns {Object} { passed, satisfied } satisfied は判定に使った条件の一覧
+   */
+  evaluate(conditions, tokens, first, last) {
+    const satisfied = [];
+
+    if (conditions.pos) {
+      // 複合語の品詞は末尾の語で決まる（「話合う」＝名詞＋動詞）
+      let head = last;
+      while (head > first && tokens[head].pos === '記号') head--;
+
+      const actual = this.getPartOfSpeech(tokens, head);
+      if (!conditions.pos.includes(actual)) {
+        return { passed: false, satisfied };
+      }
+      satisfied.push({
+        type: 'pos',
+        expected: conditions.pos,
+        actual,
+        message: `品詞が「${actual}」`
+      });
+    }
+
+    const neighbours = [
+      ['precedingToken', -1, first - 1, '直前'],
+      ['followingToken', 1, last + 1, '直後']
+    ];
+
+    for (const [key, step, startIndex, label] of neighbours) {
+      if (!conditions[key]) continue;
+
+      const result = this.evaluateNeighbour(conditions[key], tokens, startIndex, step);
+      if (!result) {
+        return { passed: false, satisfied };
+      }
+      satisfied.push(...result.map(item => ({
+        ...item,
+        type: `${key}.${item.type}`,
+        message: `${label}の語「${item.token}」の${item.message}`
+      })));
+    }
+
+    return { passed: true, satisfied };
+  }
+
+  /**
+   * 前後の語の条件を判定
+   * @param {Object} condition 前後の語の条件
+   * @param {Array} tokens 形態素解析結果
+   * @param {number} index 判定を始めるトークン位置
+   * @param {number} step 探索方向（-1: 前、1: 後）
+   * @returns {Array|null} 満たした条件の一覧（満たさない場合null）
+   */
+  evaluateNeighbour(condition, tokens, index, step) {
+    const skip = condition.skip || [];
+    while (tokens[index] && skip.includes(tokens[index].pos)) {
+      index += step;
+    }
+
+    const token = tokens[index];
+    if (!token) {
+      return null;
+    }
+
+    const satisfied = [];
+
+    if (condition.surface) {
+      if (!condition.surface.includes(token.surface)) return null;
+      satisfied.push({ type: 'surface', expected: condition.surface, actual: token.surface, token: token.surface, message: '表記' });
+    }
+
+    if (condition.excludeSurface && condition.excludeSurface.includes(token.surface)) {
+      return null;
+    }
+
+    if (condition.pos) {
+      if (!condition.pos.includes(token.pos)) return null;
+      satisfied.push({ type: 'pos', expected: condition.pos, actual: token.pos, token: token.surface, message: `品詞が「${token.pos}」` });
+    }
+
+    if (condition.semanticClass) {
+      const semanticClass = this.classifyNoun(token);
+      if (!condition.semanticClass.includes(semanticClass)) return null;
+      satisfied.push({
+        type: 'semanticClass',
+        expected: condition.semanticClass,
+        actual: semanticClass,
+        token: token.surface,
+        message: `意味分類が「${semanticClass}」`
+      });
+    }
+
+    return satisfied;
+  }
+
+  /**
+   * トークンの品詞を取得
+   * 文頭で読点が続く副詞（「更に、」）は接続詞として扱う
+   * @param {Array} tokens 形態素解析結果
+   * @param {number} index 対象トークンの位置
+   * @returns {string} 品詞
+   */
+  getPartOfSpeech(tokens, index) {
+    const token = tokens[index];
+    if (token.pos === '副詞') {
+      const previous = tokens[index - 1];
+      const next = tokens[index + 1];
+      const sentenceStart = !previous || previous.pos === '記号';
+      if (sentenceStart && next && next.surface === '、') {
+        return '接続詞';
+      }
+    }
+    return token.pos;
+  }
+
+  /**
+   * 名詞の意味分類（人 / 物・事象）
+   * @param {Object} token トークン
+   * @returns {string|null} 意味分類（名詞でなければnull）
+   */
+  classifyNoun(token) {
+    if (token.pos !== '名詞') {
+      return null;
+    }
+
+    if (this.semanticClasses.person.has(token.surface) ||
+        this.semanticClasses.person.has(token.baseForm) ||
+        token.posDetail2 === '人名' ||
+        this.semanticClasses.personSuffixes.some(suffix => token.surface.endsWith(suffix))) {
+      return '人';
+    }
+
+    return '物・事象';
+  }
+
+  /**
+   * 条件の数（同じ語に複数のルールが当たるとき、条件の多い方を優先する）
+   * @param {Object|null} conditions 適用条件
+   * @returns {number} 条件数
+   */
+  countConditions(conditions) {
+    if (!conditions) return 0;
+
+    let count = conditions.pos ? 1 : 0;
+    for (const key of ['precedingToken', 'followingToken']) {
+      if (conditions[key]) {
+        count += ['surface', 'excludeSurface', 'pos', 'semanticClass']
+          .filter(field => conditions[key][field]).length;
+      }
+    }
+    return count;
+  }
+}
@@ -0,0 +1,450 @@
+import fs from 'fs';
+import { ProofreadingEngine } from './proofreadingEngine.js';
+import { PatternRule } from './patternRule.js';
+
+// 適用条件の前後の語の条件（precedingToken・followingToken）と、それぞれに書ける項目
+const NEIGHBOUR_CONDITIONS = ['precedingToken', 'followingToken'];
+const NEIGHBOUR_FIELDS = ['skip', 'surface', 'excludeSurface', 'pos', 'semanticClass'];
+
+/**
+ * 校正ルールの管理（一覧・検索・追加・編集・無効化・削除）
+ * 変更はルールセットのJSONファイルに書き込み、登録簿を読み込み直して
+ * 起動中の校正エンジンに即座に反映する
+ */
+export class RuleManager {
+  /**
+   * @param {RuleSetRegistry} registry ルールセットの登録簿
+   */
+  constructor(registry) {
+    this.registry = registry;
+  }
+
+  /**
+   * ルールの一覧・検索
+   * @param {Object} options 検索条件
+   * @param {string} options.ruleSet ルールセットID（省略時はすべて）
+   * @param {string} options.query 正しい表記・誤り表記・読み・備考に含まれる文字列
+   * @param {string} options.category カテゴリ（「あ行」など）
+   * @param {boolean} options.enabled 有効/無効で絞り込む（省略時は両方）
+   * @returns {Array} ルール一覧（ruleSet つき）
+   */
+  list(options = {}) {
+    const ruleSets = options.ruleSet
+      ? [this.getRuleSet(options.ruleSet)]
+      : this.registry.list().map(info => this.registry.get(info.id));
+    const query = options.query ? String(options.query).trim() : '';
+
+    const results = [];
+    for (const ruleSet of ruleSets) {
+      for (const rule of ruleSet.rules) {
+        if (options.category && rule.category !== options.category) continue;
+        if (options.enabled !== undefined && (rule.enabled !== false) !== options.enabled) continue;
+        if (query && !this.matchesQuery(rule, query)) continue;
+
+        results.push({ ...rule, ruleSet: ruleSet.id });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * 検索語がルールのいずれかの表記に含まれるか
+   * @param {Object} rule 校正ルール
+   * @param {string} query 検索語
+   * @returns {boolean} 含まれる場合true
+   */
+  matchesQuery(rule, query) {
+    return [rule.correct, rule.reading, rule.note, rule.pattern, ...(rule.incorrect || [])]
+      .some(value => typeof value === 'string' && value.includes(query));
+  }
+
+  /**
+   * IDでルールを取得
+   * @param {string} id ルールID
+   * @returns {Object} ルール（ruleSet つき）
+   */
+  get(id) {
+    const { ruleSet, rule } = this.find(id);
+    return { ...rule, ruleSet: ruleSet.id };
+  }
+
+  /**
+   * ルールを追加
+   * @param {string} ruleSetId 追加先のルールセットID
+   * @param {Object} rule 追加するルール
+   * @returns {Object} { rule, warnings }
+   */
+  create(ruleSetId, rule) {
+    const ruleSet = this.getRuleSet(ruleSetId);
+    const created = this.normalizeRule(this.registry.createRuleId(ruleSet), rule);
+    const rules = [...ruleSet.rules, created];
+
+    const warnings = this.validate(created, rules);
+    this.save(ruleSet, rules);
+
+    console.log(`ルールを追加しました: ${created.id}`);
+    return { rule: { ...created, ruleSet: ruleSet.id }, warnings };
+  }
+
+  /**
+   * ルールを編集（指定した項目だけを変更し、null の項目は削除する）
+   * @param {string} id ルールID
+   * @param {Object} changes 変更する項目
+   * @returns {Object} { rule, warnings }
+   */
+  update(id, changes) {
+    const { ruleSet, rule } = this.find(id);
+    const updated = this.normalizeRule(rule.id, { ...rule, ...changes });
+    const rules = ruleSet.rules.map(existing => existing === rule ? updated : existing);
+
+    const warnings = this.validate(updated, rules);
+    this.save(ruleSet, rules);
+
+    console.log(`ルールを更新しました: ${id}`);
+    return { rule: { ...updated, ruleSet: ruleSet.id }, warnings };
+  }
+
+  /**
+   * ルールを削除
+   * @param {string} id ルールID
+   * @returns {Object} 削除したルール
+   */
+  remove(id) {
+    const { ruleSet, rule } = this.find(id);
+    this.save(ruleSet, ruleSet.rules.filter(existing => existing !== rule));
+
+    console.log(`ルールを削除しました: ${id}`);
+    return { ...rule, ruleSet: ruleSet.id };
+  }
+
+  /**
+   * 保存前のルールを見本の文章で試す（ルールセットの他のルールは使わない）
+   * @param {string} ruleSetId 所属するルールセットID
+   * @param {Object} rule 試すルール（id があれば既存ルールへの変更として扱う）
+   * @param {string} text 見本の文章
+   * @returns {Object} { result, errors, warnings } 検証エラーがある場合 result はnull
+   */
+  test(ruleSetId, rule, text) {
+    const ruleSet = this.getRuleSet(ruleSetId);
+    const existing = rule.id ? ruleSet.rules.find(candidate => candidate.id === rule.id) : null;
+    const tested = existing
+      ? this.normalizeRule(existing.id, { ...existing, ...rule })
+      : this.normalizeRule(this.registry.createRuleId(ruleSet), rule);
+    const rules = existing
+      ? ruleSet.rules.map(candidate => candidate === existing ? tested : candidate)
+      : [...ruleSet.rules, tested];
+
+    let errors = [];
+    let warnings = [];
+    try {
+      warnings = this.validate(tested, rules);
+    } catch (error) {
+      if (!error.status) throw error;
+      errors = [error.message, ...error.details];
+    }
+
+    if (errors.length > 0) {
+      return { result: null, errors, warnings };
+    }
+
+    // 無効化したルールも試せるようにする
+    const engine = new ProofreadingEngine({ ruleSets: [{ id: ruleSet.id, rules: [{ ...tested, enabled: true }] }] });
+    if (this.registry.tokenizer) {
+      engine.setTokenizer(this.registry.tokenizer);
+    }
+
+    return { result: engine.proofread(text), errors, warnings };
+  }
+
+  /**
+   * ルールセットを取得（存在しなければ404エラー）
+   * @param {string} ruleSetId ルールセットID
+   * @returns {Object} ルールセット
+   */
+  getRuleSet(ruleSetId) {
+    const id = ruleSetId || this.registry.defaultRuleSet;
+    const ruleSet = this.registry.get(id);
+    if (!ruleSet) {
+      throw createError(404, `ルールセットが見つかりません: ${id}`);
+    }
+    return ruleSet;
+  }
+
+  /**
+   * IDでルールとその所属ルールセットを探す（存在しなければ404エラー）
+   * @param {string} id ルールID
+   * @returns {Object} { ruleSet, rule }
+   */
+  find(id) {
+    for (const info of this.registry.list()) {
+      const ruleSet = this.registry.get(info.id);
+      const rule = ruleSet.rules.find(candidate => candidate.id === id);
+      if (rule) {
+        return { ruleSet, rule };
+      }
+    }
+    throw createError(404, `ルールが見つかりません: ${id}`);
+  }
+
+  /**
+   * IDを先頭に置き、値が null の項目を取り除き、表記の前後の空白を削る
+   * @param {string} id ルールID
+   * @param {Object} rule 校正ルール
+   * @returns {Object} 整えたルール
+   */
+  normalizeRule(id, rule) {
+    const normalized = { id };
+    Object.entries(rule).forEach(([key, value]) => {
+      if (value === null || value === undefined || key === 'id' || key === 'ruleSet') return;
+      normalized[key] = typeof value === 'string' ? value.trim() : value;
+    });
+    if (Array.isArray(normalized.incorrect)) {
+      normalized.incorrect = normalized.incorrect.map(form => typeof form === 'string' ? form.trim() : form);
+    }
+    return normalized;
+  }
+
+  /**
+   * ルールを検証（不正な場合は400エラー）
+   * @param {Object} rule 検証するルール
+   * @param {Array} rules 変更後のルールセット全体
+   * @returns {Array} 警告（別のルールに続けて修正される表記など）
+   */
+  validate(rule, rules) {
+    const errors = [];
+
+    if (typeof rule.category !== 'string' || !rule.category) {
+      errors.push('category（カテゴリ）を指定してください');
+    }
+    if (typeof rule.correct !== 'string' || !rule.correct) {
+      errors.push('correct（正しい表記）を指定してください');
+    }
+    if (rule.pattern !== undefined) {
+      // 正規表現ルールは incorrect の代わりに pattern で照合し、correct を置換テンプレートとして使う
+      try {
+        const pattern = new PatternRule(rule.pattern);
+        if (typeof rule.correct === 'string') {
+          errors.push(...pattern.validateTemplate(rule.correct));
+        }
+      } catch (error) {
+        errors.push(error.message);
+      }
+      if (rule.incorrect !== undefined) {
+        errors.push('正規表現ルールには incorrect（誤り表記）を指定できません');
+      }
+    } else if (!Array.isArray(rule.incorrect) || rule.incorrect.length === 0) {
+      errors.push('incorrect（誤り表記）を1つ以上指定してください');
+    } else {
+      if (rule.incorrect.some(form => typeof form !== 'string' || !form)) {
+        errors.push('incorrect（誤り表記）に空の表記があります');
+      }
+      if (rule.incorrect.includes(rule.correct)) {
+        errors.push(`正しい表記「${rule.correct}」が誤り表記にも含まれています`);
+      }
+    }
+    if (rule.reading !== undefined && typeof rule.reading !== 'string') {
+      errors.push('reading（読み）は文字列で指定してください');
+    }
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+      errors.push('enabled は true または false で指定してください');
+    }
+    if (rule.priority !== undefined && !Number.isFinite(rule.priority)) {
+      errors.push('priority（優先度）は数値で指定してください');
+    }
+    if (rule.conditions !== undefined) {
+      errors.push(...this.validateConditions(rule.conditions));
+    }
+
+    if (errors.length > 0) {
+      throw createError(400, 'ルールの内容が正しくありません', errors);
+    }
+
+    const { cycles, chains } = this.findCycles(rule, rules);
+    if (cycles.length > 0) {
+      throw createError(400, 'ルールの変換が循環しています', cycles);
+    }
+
+    return chains;
+  }
+
+  /**
+   * 適用条件（conditions）の形式を検証（形式は RuleConditions を参照）
+   * @param {*} conditions 適用条件
+   * @returns {Array} エラーの一覧
+   */
+  validateConditions(conditions) {
+    if (!isPlainObject(conditions)) {
+      return ['conditions（適用条件）はオブジェクトで指定してください'];
+    }
+
+    const errors = [];
+    const checkList = (value, name) => {
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item)) {
+        errors.push(`${name} は文字列の配列で指定してください`);
+      }
+    };
+
+    for (const [key, value] of Object.entries(conditions)) {
+      if (key === 'pos') {
+        checkList(value, 'conditions.pos');
+      } else if (NEIGHBOUR_CONDITIONS.includes(key)) {
+        if (!isPlainObject(value)) {
+          errors.push(`conditions.${key} はオブジェクトで指定してください`);
+          continue;
+        }
+        for (const [field, list] of Object.entries(value)) {
+          if (NEIGHBOUR_FIELDS.includes(field)) {
+            checkList(list, `conditions.${key}.${field}`);
+          } else {
+            errors.push(`conditions.${key}.${field} は指定できません（${NEIGHBOUR_FIELDS.join('・')}）`);
+          }
+        }
+      } else {
+        errors.push(`conditions.${key} は指定できません（pos・${NEIGHBOUR_CONDITIONS.join('・')}）`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * ルールの修正結果が別のルールの誤り表記になり、元に戻る循環を探す
+   * 品詞・文脈などの条件で使い分けるルール同士（「出会う」「出合う」）は循環とみなさない
+   * @param {Object} rule 検証するルール
+   * @param {Array} rules ルールセット全体
+   * @returns {Object} { cycles, chains } 循環の説明と、続けて修正される表記の説明
+   */
+  findCycles(rule, rules) {
+    if (rule.enabled === false) {
+      return { cycles: [], chains: [] };
+    }
+
+    // 正規表現ルールの置換結果は一致箇所ごとに変わるため、語句のルールだけを調べる
+    const engine = new ProofreadingEngine({ ruleSets: [{ id: null, rules }] });
+    const literalRules = engine.compiledRules.filter(compiledRule => !compiledRule.pattern);
+    const edges = new Map();
+    literalRules.forEach(compiledRule => {
+      if (!edges.has(compiledRule.target)) {
+        edges.set(compiledRule.target, []);
+      }
+      edges.get(compiledRule.target).push(compiledRule);
+    });
+
+    const isConditional = compiledRule => Boolean(compiledRule.conditions || compiledRule.before || compiledRule.after);
+    const cycles = [];
+    const chains = [];
+
+    for (const start of literalRules.filter(compiledRule => compiledRule.rule === rule)) {
+      for (const next of edges.get(start.replacement) || []) {
+        chains.push(`「${start.target}」の修正結果「${start.replacement}」は、ルール ${next.rule.id} で「${next.replacement}」に修正されます`);
+      }
+
+      // 条件のない変換を一つでも含む循環は、校正のたびに表記が入れ替わる
+      const queue = [{ node: start.replacement, unconditional: !isConditional(start), path: [start] }];
+      const seen = new Set();
+      while (queue.length > 0) {
+        const { node, unconditional, path } = queue.shift();
+        if (node === start.target) {
+          if (unconditional) {
+            cycles.push([start.target, ...path.map(edge => edge.replacement)].join(' → '));
+            break;
+          }
+          continue;
+        }
+
+        const key = `${node}\n${unconditional}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        for (const edge of edges.get(node) || []) {
+          queue.push({ node: edge.replacement, unconditional: unconditional || !isConditional(edge), path: [...path, edge] });
+        }
+      }
+    }
+
+    return { cycles, chains: cycles.length > 0 ? [] : chains };
+  }
+
+  /**
+   * ルールセットをファイルに書き込み、登録簿を読み込み直す
+   * @param {Object} ruleSet ルールセット
+   * @param {Array} rules 書き込むルール一覧
+   */
+  save(ruleSet, rules) {
+    const { filePath, ...data } = ruleSet;
+    writeRuleSetFile(filePath, { ...data, rules });
+    this.registry.load();
+  }
+}
+
+/**
+ * ルールセットをファイルに書き込む
+ * 一時ファイルに書いてから置き換えるため、途中で失敗しても元のファイルは壊れない
+ * @param {string} filePath 書き込み先
+ * @param {Object} ruleSet ルールセット { id, name, version, description, rules }
+ */
+export function writeRuleSetFile(filePath, ruleSet) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  try {
+    fs.writeFileSync(tempPath, formatRuleSet(ruleSet), 'utf8');
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * ルールセットをJSONに整形（既存ファイルと同じく、ルールの各項目は1行にまとめる）
+ * @param {Object} ruleSet ルールセット
+ * @returns {string} JSON文字列
+ */
+export function formatRuleSet(ruleSet) {
+  const { rules, ...header } = ruleSet;
+  const headerLines = Object.entries(header).map(([key, value]) => `  ${JSON.stringify(key)}: ${formatInline(value)},`);
+  const ruleBlocks = rules.map(rule => {
+    const lines = Object.entries(rule).map(([key, value]) => `      ${JSON.stringify(key)}: ${formatInline(value)}`);
+    return `    {\n${lines.join(',\n')}\n    }`;
+  });
+
+  return `{\n${headerLines.join('\n')}\n  "rules": [\n${ruleBlocks.join(',\n')}\n  ]\n}`;
+}
+
+/**
+ * 配列でないオブジェクトか
+ * @param {*} value 値
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 値を1行のJSONに整形（["a", "b"]、{ "pos": ["名詞"] }）
+ * @param {*} value 値
+ * @returns {string} JSON文字列
+ */
+function formatInline(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatInline).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    if (Object.keys(value).length === 0) return '{}';
+    return `{ ${Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${formatInline(item)}`).join(', ')} }`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * HTTPステータスつきのエラーを作成
+ * @param {number} status HTTPステータス
+ * @param {string} message エラーメッセージ
+ * @param {Array} details 詳細
+ * @returns {Error} エラー
+ */
+export function createError(status, message, details = []) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+}
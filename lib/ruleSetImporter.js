@@ -0,0 +1,386 @@
+import path from 'path';
+import * as XLSX from 'xlsx';
+import iconv from 'iconv-lite';
+import { ProofreadingEngine } from './proofreadingEngine.js';
+import { RuleManager, writeRuleSetFile, createError } from './ruleManager.js';
+import { toHiragana } from './tokenizer.js';
+
+// 表の見出しと、ルールの項目の対応
+const COLUMNS = {
+  reading: ['読み', 'よみ', '読み方'],
+  correct: ['正しい表記', '正'],
+  incorrect: ['誤り表記', '誤'],
+  pattern: ['パターン', '正規表現'],
+  note: ['備考', '注記'],
+  category: ['カテゴリ', '分類'],
+  conditions: ['条件'],
+  disabled: ['無効']
+};
+
+// 書き出す列（取り込み時と同じ見出し）
+const EXPORT_HEADER = ['読み', '正しい表記', '誤り表記', '備考', 'カテゴリ', '条件', '無効', 'パターン'];
+
+// 誤り表記の区切り（改行・カンマ・スラッシュ・セミコロン、末尾以外の読点）
+// 「更に、」のように読点で終わる表記は区切らない
+const INCORRECT_SEPARATOR = /\r?\n|[,，/／;；]|、(?!\s*$)/;
+
+// 見出し行を探す範囲（表題などが上にある表に対応）
+const HEADER_SEARCH_ROWS = 10;
+
+const RULE_SET_ID = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * 表記ガイドの表（XLSX/CSV）とルールセットの相互変換
+ * 列「読み」「正しい表記」「誤り表記」「備考」をルールの reading / correct / incorrect / note に対応させる
+ */
+export class RuleSetImporter {
+  /**
+   * @param {RuleSetRegistry} registry ルールセットの登録簿
+   */
+  constructor(registry) {
+    this.registry = registry;
+    this.ruleManager = new RuleManager(registry);
+  }
+
+  /**
+   * 表を読み込んでルールセットを作成する
+   * @param {Buffer} buffer XLSX/CSVファイルの内容
+   * @param {string} fileName ファイル名（拡張子で形式を判定）
+   * @param {Object} options オプション
+   * @param {string} options.id 新しいルールセットのID
+   * @param {string} options.name ルールセット名
+   * @param {string} options.description 説明
+   * @param {string} options.compareWith 衝突を確認する既存のルールセットID
+   * @param {boolean} options.dryRun trueの場合はファイルを書き込まず結果だけを返す
+   * @param {boolean} options.overwrite trueの場合は同じIDのルールセットのルールを置き換える（表記の正規化などの設定は残す）
+   * @returns {Object} { ruleSet, report }
+   */
+  import(buffer, fileName, options = {}) {
+    const id = String(options.id || '').trim();
+    if (!RULE_SET_ID.test(id)) {
+      throw createError(400, 'ルールセットIDは半角英数字・ハイフン・アンダースコアで指定してください');
+    }
+    if (this.registry.get(id) && !options.overwrite && !options.dryRun) {
+      throw createError(409, `ルールセット ${id} は既に存在します`);
+    }
+
+    const rows = this.readRows(buffer, fileName);
+    const { rules, rowNumbers, errors, duplicates } = this.parseRows(rows, id);
+    const existingSet = options.overwrite ? this.registry.get(id) : null;
+    let ruleSet;
+    if (existingSet) {
+      // 書き出した表を取り込み直しても、ルール以外の項目（名前・版・normalization・punctuation・diagnostics）は変えない
+      const { filePath, rules: previousRules, ...header } = existingSet;
+      ruleSet = {
+        ...header,
+        ...(options.name ? { name: options.name } : {}),
+        ...(options.description ? { description: options.description } : {}),
+        rules
+      };
+    } else {
+      ruleSet = {
+        id,
+        name: options.name || id,
+        version: '1.0.0',
+        description: options.description || `${path.basename(fileName)} から取り込み`,
+        rules
+      };
+    }
+
+    const report = {
+      rows: rows.length,
+      imported: rules.length,
+      errors,
+      duplicates,
+      conflicts: this.findConflicts([ruleSet], rowNumbers),
+      existingConflicts: []
+    };
+
+    if (options.compareWith) {
+      const existing = this.registry.get(options.compareWith);
+      if (!existing) {
+        throw createError(404, `ルールセットが見つかりません: ${options.compareWith}`);
+      }
+      // 取り込んだルールセットと既存のルールセットにまたがる衝突だけを報告する
+      report.existingConflicts = this.findConflicts([ruleSet, existing], rowNumbers)
+        .filter(conflict => new Set(conflict.rules.map(rule => rule.ruleSet)).size > 1);
+    }
+
+    if (!options.dryRun) {
+      if (rules.length === 0) {
+        throw createError(400, '取り込めるルールがありません', errors.map(error => `${error.row}行目: ${error.message}`));
+      }
+
+      const filePath = this.registry.get(id)?.filePath || path.join(this.registry.directory, `${id}.json`);
+      writeRuleSetFile(filePath, ruleSet);
+      this.registry.load();
+      console.log(`ルールセットを取り込みました: ${id}（${rules.length}件）`);
+    }
+
+    return { ruleSet, report };
+  }
+
+  /**
+   * XLSX/CSVファイルの最初のシートを行の配列として読み込む
+   * @param {Buffer} buffer ファイルの内容
+   * @param {string} fileName ファイル名
+   * @returns {Array} 行（セルの文字列の配列）の一覧
+   */
+  readRows(buffer, fileName) {
+    const extension = path.extname(fileName).toLowerCase();
+    let workbook;
+
+    if (extension === '.csv') {
+      workbook = XLSX.read(this.decodeText(buffer), { type: 'string', raw: true });
+    } else if (extension === '.xlsx') {
+      workbook = XLSX.read(buffer, { type: 'buffer' });
+    } else {
+      throw createError(400, `サポートされていないファイル形式です: ${extension || fileName}（XLSX/CSVのみ）`);
+    }
+
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false, blankrows: true })
+      .map(row => row.map(cell => String(cell)));
+  }
+
+  /**
+   * CSVの文字コードを判定して文字列にする（UTF-8でなければShift_JISとして読む）
+   * @param {Buffer} buffer ファイルの内容
+   * @returns {string} 文字列
+   */
+  decodeText(buffer) {
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+    } catch (error) {
+      return iconv.decode(buffer, 'Shift_JIS');
+    }
+  }
+
+  /**
+   * 行をルールに変換する
+   * @param {Array} rows 行の一覧
+   * @param {string} ruleSetId ルールセットID（ルールIDの接頭辞）
+   * @returns {Object} { rules, rowNumbers, errors, duplicates }
+   */
+  parseRows(rows, ruleSetId) {
+    const headerIndex = rows.slice(0, HEADER_SEARCH_ROWS).findIndex(row => {
+      const columns = this.mapColumns(row);
+      return columns.correct !== undefined && columns.incorrect !== undefined;
+    });
+    if (headerIndex < 0) {
+      throw createError(400, '見出し行（「正しい表記」「誤り表記」の列）が見つかりません');
+    }
+
+    const columns = this.mapColumns(rows[headerIndex]);
+    const cell = (row, key) => columns[key] === undefined ? '' : (row[columns[key]] || '').trim();
+
+    const rules = [];
+    const rowNumbers = new Map();
+    const errors = [];
+    const duplicates = [];
+    const seenForms = new Map();
+
+    rows.slice(headerIndex + 1).forEach((row, offset) => {
+      const rowNumber = headerIndex + offset + 2;
+      if (row.every(value => !value.trim())) return;
+
+      const correct = cell(row, 'correct');
+      const reading = cell(row, 'reading');
+      if (!correct) {
+        errors.push({ row: rowNumber, message: '正しい表記がありません' });
+        return;
+      }
+
+      const pattern = cell(row, 'pattern');
+      const incorrect = [];
+      for (const form of pattern ? [] : cell(row, 'incorrect').split(INCORRECT_SEPARATOR).map(value => value.trim()).filter(Boolean)) {
+        if (form === correct) {
+          errors.push({ row: rowNumber, message: `誤り表記「${form}」が正しい表記と同じです` });
+          continue;
+        }
+        if (incorrect.includes(form)) continue;
+
+        // 同じ誤り表記・同じ正しい表記の組は重複として除く（正しい表記が違う場合は衝突として報告する）
+        const seen = seenForms.get(form);
+        if (seen && seen.correct === correct) {
+          duplicates.push({ row: rowNumber, firstRow: seen.row, form, correct });
+          continue;
+        }
+        if (!seen) {
+          seenForms.set(form, { row: rowNumber, correct });
+        }
+        incorrect.push(form);
+      }
+
+      if (!pattern && incorrect.length === 0) {
+        if (!cell(row, 'incorrect')) {
+          errors.push({ row: rowNumber, message: '誤り表記がありません' });
+        }
+        return;
+      }
+
+      const rule = {
+        id: `${ruleSetId}-${String(rules.length + 1).padStart(3, '0')}`,
+        category: cell(row, 'category') || categoryFromReading(reading || correct),
+        correct
+      };
+      // 正規表現ルールは「パターン」列で照合し、正しい表記を置換テンプレートとして使う
+      if (pattern) {
+        rule.pattern = pattern;
+      } else {
+        rule.incorrect = incorrect;
+      }
+      if (reading) rule.reading = reading;
+      if (cell(row, 'note')) rule.note = cell(row, 'note');
+
+      if (cell(row, 'conditions')) {
+        try {
+          rule.conditions = JSON.parse(cell(row, 'conditions'));
+        } catch (error) {
+          errors.push({ row: rowNumber, message: `条件をJSONとして読めません: ${error.message}` });
+          return;
+        }
+      }
+      if (cell(row, 'disabled')) {
+        rule.enabled = false;
+      }
+
+      rules.push(rule);
+      rowNumbers.set(rule.id, rowNumber);
+    });
+
+    return { ...this.validateRules(rules, rowNumbers, errors, ruleSetId), duplicates };
+  }
+
+  /**
+   * ルール管理と同じ検証（項目の形式・変換の循環）をして、正しくないルールを行のエラーにする
+   * 残ったルールのIDは表の順に振り直す
+   * @param {Array} rules 表から作ったルール
+   * @param {Map} rowNumbers ルールID → 行番号
+   * @param {Array} errors 行のエラー（正しくないルールを追加する）
+   * @param {string} ruleSetId ルールセットID（ルールIDの接頭辞）
+   * @returns {Object} { rules, rowNumbers, errors }
+   */
+  validateRules(rules, rowNumbers, errors, ruleSetId) {
+    const invalid = new Set();
+    for (const rule of rules) {
+      try {
+        this.ruleManager.validate(rule, rules);
+      } catch (error) {
+        if (!error.status) throw error;
+        invalid.add(rule);
+        const details = error.details.length > 0 ? `: ${error.details.join(' / ')}` : '';
+        errors.push({ row: rowNumbers.get(rule.id), message: `${error.message}${details}` });
+      }
+    }
+
+    const validRules = [];
+    const validRowNumbers = new Map();
+    for (const rule of rules.filter(candidate => !invalid.has(candidate))) {
+      const row = rowNumbers.get(rule.id);
+      rule.id = `${ruleSetId}-${String(validRules.length + 1).padStart(3, '0')}`;
+      validRules.push(rule);
+      validRowNumbers.set(rule.id, row);
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+    return { rules: validRules, rowNumbers: validRowNumbers, errors };
+  }
+
+  /**
+   * 見出し行から各項目の列番号を求める
+   * @param {Array} row 見出し行
+   * @returns {Object} 項目 → 列番号
+   */
+  mapColumns(row) {
+    const columns = {};
+    row.forEach((value, index) => {
+      const label = value.trim();
+      for (const [key, aliases] of Object.entries(COLUMNS)) {
+        if (columns[key] === undefined && aliases.includes(label)) {
+          columns[key] = index;
+        }
+      }
+    });
+    return columns;
+  }
+
+  /**
+   * ルール同士の衝突を検出し、取り込んだ表の行番号を添える
+   * @param {Array} ruleSets ルールセットの一覧
+   * @param {Map} rowNumbers ルールID → 行番号
+   * @returns {Array} 衝突一覧
+   */
+  findConflicts(ruleSets, rowNumbers) {
+    // 優先度で下位のルールを除かないよう、一つのルール一覧にまとめて調べる
+    const engine = new ProofreadingEngine({ ruleSets: [] });
+    engine.setRules(ruleSets.flatMap(ruleSet => ruleSet.rules.map(rule => ({ ...rule, ruleSet: ruleSet.id }))));
+
+    return engine.findConflicts().map(conflict => ({
+      ...conflict,
+      rules: conflict.rules.map(rule => rowNumbers.has(rule.id) && rule.ruleSet === ruleSets[0].id
+        ? { ...rule, row: rowNumbers.get(rule.id) }
+        : rule)
+    }));
+  }
+
+  /**
+   * ルールセットをXLSX/CSVに書き出す（取り込みと同じ列構成）
+   * @param {string} ruleSetId ルールセットID
+   * @param {string} format 'xlsx' または 'csv'
+   * @returns {Object} { buffer, fileName, contentType }
+   */
+  export(ruleSetId, format = 'xlsx') {
+    const ruleSet = this.registry.get(ruleSetId);
+    if (!ruleSet) {
+      throw createError(404, `ルールセットが見つかりません: ${ruleSetId}`);
+    }
+
+    const rows = [EXPORT_HEADER, ...ruleSet.rules.map(rule => [
+      rule.reading || '',
+      rule.correct,
+      (rule.incorrect || []).join('\n'),
+      rule.note || '',
+      rule.category || '',
+      rule.conditions ? JSON.stringify(rule.conditions) : '',
+      rule.enabled === false ? '○' : '',
+      rule.pattern || ''
+    ])];
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'ルール');
+
+    if (format === 'csv') {
+      // Excelで文字化けしないようBOMを付ける
+      const csv = '\uFEFF' + XLSX.utils.sheet_to_csv(workbook.Sheets['ルール']);
+      return { buffer: Buffer.from(csv, 'utf8'), fileName: `${ruleSet.id}.csv`, contentType: 'text/csv; charset=utf-8' };
+    }
+    if (format !== 'xlsx') {
+      throw createError(400, `サポートされていない形式です: ${format}（xlsx/csv）`);
+    }
+
+    return {
+      buffer: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }),
+      fileName: `${ruleSet.id}.xlsx`,
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    };
+  }
+}
+
+/**
+ * 読みの最初のかなからカテゴリ（「あ行」「こ行」など）を決める
+ * 濁点・半濁点と小書きの文字は清音の大きな文字として扱う（「ごと」→「こ行」）
+ * @param {string} reading 読み
+ * @returns {string} カテゴリ
+ */
+export function categoryFromReading(reading) {
+  const first = toHiragana(String(reading || '').trim().charAt(0)).normalize('NFD').charAt(0);
+  if (!/[ぁ-ゖ]/.test(first)) {
+    return 'その他';
+  }
+
+  const small = 'ぁぃぅぇぉっゃゅょゎゕゖ';
+  const large = 'あいうえおつやゆよわかけ';
+  const index = small.indexOf(first);
+  return `${index >= 0 ? large[index] : first}行`;
+}
@@ -0,0 +1,182 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ProofreadingEngine } from './proofreadingEngine.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '../data/rulesets');
+const DEFAULT_RULE_SET = 'ayumi';
+
+/**
+ * ルールセット（表記ガイド）の登録簿
+ * data/rulesets/ の各JSONファイル { id, name, version, description, rules } を読み込み、
+ * 要求されたルールセットの組み合わせごとに校正エンジンを用意する
+ */
+export class RuleSetRegistry {
+  constructor(options = {}) {
+    this.directory = options.directory || DEFAULT_DIRECTORY;
+    this.defaultRuleSet = options.defaultRuleSet || DEFAULT_RULE_SET;
+    this.tokenizer = null;
+    this.ruleSets = new Map();
+    this.engines = new Map();
+    this.load();
+  }
+
+  /**
+   * ルールセットのディレクトリを読み込み直す
+   */
+  load() {
+    this.ruleSets.clear();
+    this.engines.clear();
+
+    let files = [];
+    try {
+      files = fs.readdirSync(this.directory).filter(name => name.endsWith('.json')).sort();
+    } catch (error) {
+      console.error('ルールセットのディレクトリを読み込めません:', error);
+    }
+
+    for (const fileName of files) {
+      try {
+        const filePath = path.join(this.directory, fileName);
+        const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+        if (!parsed.id || !Array.isArray(parsed.rules)) {
+          throw new Error('id または rules がありません');
+        }
+        if (this.ruleSets.has(parsed.id)) {
+          throw new Error(`ルールセットIDが重複しています: ${parsed.id}`);
+        }
+
+        this.assignRuleIds(parsed);
+        this.ruleSets.set(parsed.id, { ...parsed, filePath });
+      } catch (error) {
+        console.error(`ルールセット ${fileName} の読み込みに失敗しました:`, error.message);
+      }
+    }
+
+    console.log('ルールセット読み込み完了:', [...this.ruleSets.keys()]);
+  }
+
+  /**
+   * IDのないルール（手で追加されたものなど）にIDを振る
+   * @param {Object} ruleSet ルールセット
+   */
+  assignRuleIds(ruleSet) {
+    ruleSet.rules.forEach(rule => {
+      if (!rule.id) {
+        rule.id = this.createRuleId(ruleSet);
+      }
+    });
+  }
+
+  /**
+   * ルールセット内で未使用のルールIDを作成（「ayumi-187」の形式）
+   * @param {Object} ruleSet ルールセット
+   * @returns {string} ルールID
+   */
+  createRuleId(ruleSet) {
+    const prefix = `${ruleSet.id}-`;
+    let max = 0;
+    ruleSet.rules.forEach(rule => {
+      if (rule.id && rule.id.startsWith(prefix)) {
+        const number = parseInt(rule.id.slice(prefix.length), 10);
+        if (number > max) max = number;
+      }
+    });
+    return `${prefix}${String(max + 1).padStart(3, '0')}`;
+  }
+
+  /**
+   * 形態素解析器を設定（作成済みのエンジンにも反映）
+   * @param {Object} tokenizer 形態素解析器
+   */
+  setTokenizer(tokenizer) {
+    this.tokenizer = tokenizer;
+    this.engines.forEach(engine => engine.setTokenizer(tokenizer));
+  }
+
+  /**
+   * ルールセットを取得
+   * @param {string} id ルールセットID
+   * @returns {Object|undefined} ルールセット
+   */
+  get(id) {
+    return this.ruleSets.get(id);
+  }
+
+  /**
+   * 利用可能なルールセットの一覧（カテゴリ別ルール数つき）
+   * @returns {Array} ルールセット情報
+   */
+  list() {
+    return [...this.ruleSets.values()].map(ruleSet => {
+      const categories = {};
+      ruleSet.rules.forEach(rule => {
+        if (!categories[rule.category]) {
+          categories[rule.category] = 0;
+        }
+        categories[rule.category]++;
+      });
+
+      return {
+        id: ruleSet.id,
+        name: ruleSet.name,
+        version: ruleSet.version,
+        description: ruleSet.description,
+        rulesCount: ruleSet.rules.length,
+        categories,
+        normalization: ruleSet.normalization || null,
+        punctuation: ruleSet.punctuation || null,
+        diagnostics: ruleSet.diagnostics || null,
+        isDefault: ruleSet.id === this.defaultRuleSet
+      };
+    });
+  }
+
+  /**
+   * ルールセット指定を解決
+   * @param {string|Array|undefined} ruleSet "newsletter,ayumi" のようなカンマ区切り、または配列（優先度の高い順）
+   * @returns {Array} ルールセットIDの一覧
+   */
+  resolve(ruleSet) {
+    let ids = Array.isArray(ruleSet) ? ruleSet : String(ruleSet || '').split(',');
+    ids = ids.map(id => String(id).trim()).filter(Boolean);
+    ids = ids.filter((id, index) => ids.indexOf(id) === index);
+
+    if (ids.length === 0) {
+      ids = [this.defaultRuleSet];
+    }
+
+    const unknown = ids.filter(id => !this.ruleSets.has(id));
+    if (unknown.length > 0) {
+      throw new Error(`ルールセットが見つかりません: ${unknown.join(', ')}`);
+    }
+
+    return ids;
+  }
+
+  /**
+   * 指定されたルールセットの組み合わせで校正エンジンを取得（組み合わせごとにキャッシュ）
+   * @param {string|Array|undefined} ruleSet ルールセット指定
+   * @returns {ProofreadingEngine} 校正エンジン
+   */
+  getEngine(ruleSet) {
+    const ids = this.resolve(ruleSet);
+    const key = ids.join(',');
+
+    if (!this.engines.has(key)) {
+      const engine = new ProofreadingEngine({
+        ruleSets: ids.map(id => this.ruleSets.get(id))
+      });
+      if (this.tokenizer) {
+        engine.setTokenizer(this.tokenizer);
+      }
+      this.engines.set(key, engine);
+    }
+
+    return this.engines.get(key);
+  }
+}
@@ -0,0 +1,262 @@
+// 既定の設定（ルールセットの diagnostics で変更できる）
+const DEFAULTS = {
+  maxSentenceLength: 80,
+  maxCommas: 4,
+  styleMixing: true,
+  repeatedParticles: true,
+  redundantExpressions: true
+};
+const LIMITS = ['maxSentenceLength', 'maxCommas'];
+const SWITCHES = ['styleMixing', 'repeatedParticles', 'redundantExpressions'];
+
+// 敬体（です・ます）と常体（だ・である）の文末
+const POLITE_ENDING = /(?:です|ます|でした|ました|ません|でしょう|ましょう|ください|ございます)(?:ね|よ|か)?$/;
+const PLAIN_ENDING = /(?:だ|である|であった|だった|だろう|であろう|ではない|ではなかった)(?:ね|よ)?$/;
+
+// 文の区切り（かぎ括弧の中の句点では区切らない）
+const SENTENCE_END = '。！？!?．';
+const OPEN_QUOTES = '「『（(';
+const CLOSE_QUOTES = '」』）)';
+
+// 続けて現れると誤りの可能性が高い助詞（「のの」「がが」）
+// 形態素解析がない場合は語の一部になりにくい「が」「を」「に」だけを確認する
+const DOUBLED_PARTICLE = /([のがをにはでとへも])\1/g;
+const DOUBLED_PARTICLE_WITHOUT_TOKENIZER = 'がをに';
+
+// 重ね言葉（意味が重複する表現）と言い換えの例
+const REDUNDANT_EXPRESSIONS = [
+  { pattern: '頭痛が痛', suggestion: '頭が痛い・頭痛がする' },
+  { pattern: '馬から落馬', suggestion: '落馬する' },
+  { pattern: '違和感を感じ', suggestion: '違和感を覚える・違和感がある' },
+  { pattern: '一番最初', suggestion: '最初' },
+  { pattern: '一番最後', suggestion: '最後' },
+  { pattern: 'まず最初に', suggestion: 'まず・最初に' },
+  { pattern: '後で後悔', suggestion: '後悔する' },
+  { pattern: '今現在', suggestion: '現在・今' },
+  { pattern: '過半数を超え', suggestion: '過半数に達する・半数を超える' },
+  { pattern: '返事を返', suggestion: '返事をする' },
+  { pattern: '被害を被', suggestion: '被害を受ける' },
+  { pattern: '犯罪を犯', suggestion: '罪を犯す' },
+  { pattern: '元旦の朝', suggestion: '元旦' },
+  { pattern: '必ず必要', suggestion: '必要・必ず要る' },
+  { pattern: 'あらかじめ予定', suggestion: '予定' },
+  { pattern: 'あらかじめ予約', suggestion: '予約' },
+  { pattern: 'はっきり明言', suggestion: '明言する' },
+  { pattern: '炎天下の下', suggestion: '炎天下' },
+  { pattern: '期待して待', suggestion: '期待する・楽しみに待つ' },
+  { pattern: '排気ガス', suggestion: '排気・排ガス' },
+  { pattern: '第一日目', suggestion: '第一日・一日目' },
+  { pattern: '最後の追い込み', suggestion: '追い込み' },
+  { pattern: '思いがけないハプニング', suggestion: 'ハプニング' }
+];
+
+/**
+ * 文章を文に分ける（かぎ括弧・丸括弧の中では区切らない。改行と表のセルの区切りのタブでも区切る）
+ * @param {string} text 対象の文章
+ * @returns {Array} 文の範囲 { start, end, terminated }（terminated は句点などで終わる文）
+ */
+export function splitSentences(text) {
+  const sentences = [];
+  let start = 0;
+  let depth = 0;
+
+  const push = (end, terminated) => {
+    // 文頭の空白は文に含めない
+    while (start < end && /\s/.test(text[start])) start++;
+    if (start < end) sentences.push({ start, end, terminated });
+    start = end;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\n' || char === '\t') {
+      push(i, false);
+      depth = 0;
+      start = i + 1;
+    } else if (OPEN_QUOTES.includes(char)) {
+      depth++;
+    } else if (CLOSE_QUOTES.includes(char)) {
+      depth = Math.max(depth - 1, 0);
+    } else if (depth === 0 && SENTENCE_END.includes(char)) {
+      // 「！？」「。」」のように続く記号は同じ文に含める
+      let end = i + 1;
+      while (end < text.length && SENTENCE_END.includes(text[end])) end++;
+      push(end, true);
+      i = end - 1;
+    }
+  }
+  push(text.length, false);
+
+  return sentences;
+}
+
+/**
+ * 文単位の文体の確認
+ * 置換はせず、敬体・常体の混在、長い文、読点の多い文、助詞の重複、重ね言葉を指摘（diagnostics）として返す
+ */
+export class StyleChecker {
+  /**
+   * @param {Object} config 設定（maxSentenceLength・maxCommas・styleMixing・repeatedParticles・redundantExpressions）
+   */
+  constructor(config = {}) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('文体の確認の設定が正しくありません');
+    }
+
+    this.options = { ...DEFAULTS };
+    for (const [key, value] of Object.entries(config)) {
+      if (LIMITS.includes(key)) {
+        if (value !== null && (!Number.isInteger(value) || value < 1)) {
+          throw new Error(`文体の確認の設定が正しくありません: ${key} は1以上の整数を指定してください`);
+        }
+      } else if (SWITCHES.includes(key)) {
+        if (value !== null && typeof value !== 'boolean') {
+          throw new Error(`文体の確認の設定が正しくありません: ${key} は true または false を指定してください`);
+        }
+      } else {
+        throw new Error(`文体の確認の設定が正しくありません: ${key} は指定できません`);
+      }
+      this.options[key] = value;
+    }
+  }
+
+  /**
+   * 文章を確認する
+   * @param {string} text 対象の文章
+   * @param {Object|null} tokenizer 形態素解析器（助詞の重複の判定に使う）
+   * @returns {Array} 指摘一覧 { type, severity, span, text, message, suggestion }（位置順）
+   */
+  check(text, tokenizer = null) {
+    const sentences = splitSentences(text);
+    const { maxSentenceLength, maxCommas, styleMixing, repeatedParticles, redundantExpressions } = this.options;
+    const diagnostics = [];
+
+    if (styleMixing) diagnostics.push(...this.checkStyleMixing(text, sentences));
+
+    for (const sentence of sentences) {
+      const body = text.slice(sentence.start, sentence.end);
+      const length = body.replace(/\s/g, '').length;
+      if (maxSentenceLength && length > maxSentenceLength) {
+        diagnostics.push(this.createDiagnostic(text, 'longSentence', sentence.start, sentence.end,
+          `一文が長すぎます（${length}文字、${maxSentenceLength}文字以内が目安）`));
+      }
+
+      const commas = (body.match(/[、，]/g) || []).length;
+      if (maxCommas && commas > maxCommas) {
+        diagnostics.push(this.createDiagnostic(text, 'tooManyCommas', sentence.start, sentence.end,
+          `一文の読点が多すぎます（${commas}個、${maxCommas}個以内が目安）`));
+      }
+    }
+
+    if (repeatedParticles) diagnostics.push(...this.checkRepeatedParticles(text, sentences, tokenizer));
+    if (redundantExpressions) diagnostics.push(...this.checkRedundantExpressions(text));
+
+    return diagnostics.sort((a, b) => a.span.start - b.span.start || a.span.end - b.span.end);
+  }
+
+  /**
+   * 敬体と常体の混在を探す
+   * 各文の文末（句点のない段落の最後の文も含む）を数え、少ないほうの文体の文を指摘する（同数の場合は常体の文）
+   * @param {string} text 対象の文章
+   * @param {Array} sentences 文の範囲
+   * @returns {Array} 指摘一覧
+   */
+  checkStyleMixing(text, sentences) {
+    const polite = [];
+    const plain = [];
+
+    for (const sentence of sentences) {
+      const body = text.slice(sentence.start, sentence.end).replace(/[。！？!?．\s]+$/, '');
+      if (POLITE_ENDING.test(body)) polite.push(sentence);
+      else if (PLAIN_ENDING.test(body)) plain.push(sentence);
+    }
+
+    if (polite.length === 0 || plain.length === 0) return [];
+
+    const [minority, message] = plain.length <= polite.length
+      ? [plain, '敬体（です・ます）の文章に常体（だ・である）の文が混じっています']
+      : [polite, '常体（だ・である）の文章に敬体（です・ます）の文が混じっています'];
+
+    return minority.map(sentence => this.createDiagnostic(text, 'styleMixing', sentence.start, sentence.end,
+      `${message}（敬体${polite.length}文・常体${plain.length}文）`));
+  }
+
+  /**
+   * 同じ助詞の重複（「のの」「がが」）を探す
+   * 形態素解析器がある場合は、重複の候補がある文だけを解析して両方が助詞のものを指摘する
+   * @param {string} text 対象の文章
+   * @param {Array} sentences 文の範囲
+   * @param {Object|null} tokenizer 形態素解析器
+   * @returns {Array} 指摘一覧
+   */
+  checkRepeatedParticles(text, sentences, tokenizer) {
+    const diagnostics = [];
+    const report = (start, particle) => diagnostics.push(this.createDiagnostic(text, 'repeatedParticle', start, start + 2,
+      `助詞「${particle}」が重なっています`));
+
+    for (const sentence of sentences) {
+      const body = text.slice(sentence.start, sentence.end);
+      const candidates = [...body.matchAll(DOUBLED_PARTICLE)];
+      if (candidates.length === 0) continue;
+
+      if (!tokenizer) {
+        candidates
+          .filter(match => DOUBLED_PARTICLE_WITHOUT_TOKENIZER.includes(match[1]))
+          .forEach(match => report(sentence.start + match.index, match[1]));
+        continue;
+      }
+
+      const tokens = tokenizer.tokenize(body);
+      for (let i = 1; i < tokens.length; i++) {
+        const [previous, current] = [tokens[i - 1], tokens[i]];
+        // 「ははは」のように同じ字が3つ以上続くものは笑い声などとして除く
+        const repeatedMore = body[previous.start - 1] === previous.surface || body[current.end] === current.surface;
+        if (previous.pos === '助詞' && current.pos === '助詞' && !repeatedMore &&
+            previous.surface.length === 1 && previous.surface === current.surface && previous.end === current.start) {
+          report(sentence.start + previous.start, previous.surface);
+        }
+      }
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * 重ね言葉を探す
+   * @param {string} text 対象の文章
+   * @returns {Array} 指摘一覧
+   */
+  checkRedundantExpressions(text) {
+    const diagnostics = [];
+    for (const { pattern, suggestion } of REDUNDANT_EXPRESSIONS) {
+      let index = text.indexOf(pattern);
+      while (index >= 0) {
+        const diagnostic = this.createDiagnostic(text, 'redundantExpression', index, index + pattern.length,
+          `重ね言葉です（「${suggestion}」など）`);
+        diagnostic.suggestion = suggestion;
+        diagnostics.push(diagnostic);
+        index = text.indexOf(pattern, index + pattern.length);
+      }
+    }
+    return diagnostics;
+  }
+
+  /**
+   * 指摘を作成
+   * @param {string} text 対象の文章
+   * @param {string} type 種類
+   * @param {number} start 開始位置
+   * @param {number} end 終了位置
+   * @param {string} message メッセージ
+   * @returns {Object} 指摘
+   */
+  createDiagnostic(text, type, start, end, message) {
+    return {
+      type,
+      severity: 'warning',
+      span: { start, end },
+      text: text.slice(start, end),
+      message
+    };
+  }
+}
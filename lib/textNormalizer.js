@@ -0,0 +1,403 @@
+// 全角・半角・数字の正規化による変更のカテゴリ
+export const NORMALIZATION_CATEGORY = '全角・半角・数字';
+
+// writing（書字方向）ごとの既定の設定
+const PRESETS = {
+  horizontal: { digits: 'half', alphabet: 'half', katakana: 'full', brackets: 'full', space: 'full' },
+  vertical: { digits: 'kanji', alphabet: 'full', katakana: 'full', brackets: 'full', space: 'full' }
+};
+
+// 項目ごとに指定できる値
+const OPTIONS = {
+  digits: ['half', 'full', 'kanji'],
+  alphabet: ['half', 'full'],
+  katakana: ['full'],
+  brackets: ['half', 'full'],
+  space: ['full']
+};
+
+// 漢数字を算用数字にする助数詞（漢数字の直後にあるときだけ変換する）
+const DEFAULT_COUNTERS = [
+  'か月', 'ヶ月', 'カ月', 'ケ月', '年', '月', '日', '時', '歳', '才', '円',
+  '人', '名', '回', '週', '学期', '組', '点', '冊', '枚', '個', '件'
+];
+
+// 漢数字を含む慣用的な語（数字にしない）
+const FIXED_EXPRESSIONS = [
+  '三日月', '三日坊主', '二日酔い', '百人一首', '十人十色', '二人三脚', '五月雨',
+  '四日市', '五日市', '八日市', '十日町', '二十日大根'
+];
+
+// 位の字（十・百・千）の直前にあると概数（「数十人」「何百回」「幾千」）になる字
+const APPROXIMATE_PREFIXES = '数何幾';
+
+// 範囲（「三～四人」）を表す記号。両端の数字は一つの数としてまとめて変換する
+const RANGE_MARKS = '～〜~';
+
+// 日付の「日」の直前の月（「四月一日」「4月一日」の「一日」は日付として変換する）
+const MONTH_BEFORE = /[〇一二三四五六七八九十0-9０-９]月$/;
+
+// 文の区切り（同じ文の中で同じ助数詞の数字の書き方をそろえる）
+const SENTENCE_BREAKS = '。！？\n\t';
+
+const KANJI_DIGITS = '〇一二三四五六七八九';
+const KANJI_NUMERAL = /[〇一二三四五六七八九十百千]+/g;
+const KANJI_UNITS = { 十: 10, 百: 100, 千: 1000 };
+
+// 桁区切り・小数点・時刻の区切りを含む数字（「１，０００」「10:30」）
+const FULL_WIDTH_NUMBER = /[０-９]+(?:[，．：][０-９]+)*/g;
+const HALF_WIDTH_NUMBER = /[0-9]+(?:[,.:][0-9]+)*/g;
+const ANY_NUMBER = /[0-9０-９]+(?:[,.:，．：][0-9０-９]+)*/g;
+const ALPHABET = /[A-Za-zＡ-Ｚａ-ｚ]/;
+
+const HALF_BRACKETS = '()[]';
+const FULL_BRACKETS = '（）［］';
+
+/**
+ * 全角・半角や数字の書き方をそろえる
+ * ルールセットの normalization で設定し、変換した箇所を通常のルールと同じ一致として返す
+ *
+ * 設定例: { "writing": "horizontal" }（横書き: 半角数字）、{ "writing": "vertical" }（縦書き: 漢数字）
+ * writing の既定を digits・alphabet・katakana・brackets・space で個別に変えられる（null で無効）
+ */
+export class TextNormalizer {
+  /**
+   * @param {Object} config 正規化の設定
+   * @param {string|null} ruleSetId 設定を持つルールセットのID
+   */
+  constructor(config, ruleSetId = null) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('正規化の設定が正しくありません');
+    }
+    if (config.writing !== undefined && !PRESETS[config.writing]) {
+      throw new Error(`正規化の設定が正しくありません: writing は horizontal または vertical を指定してください`);
+    }
+
+    const { writing, counters, ...options } = config;
+    this.options = { ...PRESETS[writing] };
+    for (const [key, value] of Object.entries(options)) {
+      if (!OPTIONS[key]) {
+        throw new Error(`正規化の設定が正しくありません: ${key} は指定できません`);
+      }
+      if (value !== null && !OPTIONS[key].includes(value)) {
+        throw new Error(`正規化の設定が正しくありません: ${key} は ${OPTIONS[key].join('・')} のいずれかを指定してください`);
+      }
+      this.options[key] = value;
+    }
+
+    if (counters !== undefined && (!Array.isArray(counters) || counters.some(counter => typeof counter !== 'string' || !counter))) {
+      throw new Error('正規化の設定が正しくありません: counters は助数詞の配列を指定してください');
+    }
+    this.counters = [...(counters || DEFAULT_COUNTERS)].sort((a, b) => b.length - a.length);
+    this.ruleSetId = ruleSetId;
+    this.rules = {};
+  }
+
+  /**
+   * 変更の記録に使うルール（種類ごとに1つ）
+   * @param {string} kind 種類（digits・alphabet など）
+   * @param {string} note 説明
+   * @returns {Object} ルール
+   */
+  getRule(kind, note) {
+    const key = `${kind}:${note}`;
+    if (!this.rules[key]) {
+      this.rules[key] = {
+        id: `normalization-${kind}`,
+        category: NORMALIZATION_CATEGORY,
+        note,
+        severity: 'info',
+        ruleSet: this.ruleSetId
+      };
+    }
+    return this.rules[key];
+  }
+
+  /**
+   * そろえる必要のある箇所をすべて探す
+   * @param {string} text 対象の文章
+   * @returns {Array} 変換箇所 { start, end, replacement, rule }（位置順、互いに重ならない）
+   */
+  findAll(text) {
+    const found = [
+      ...this.findDigits(text),
+      ...this.findAlphabet(text),
+      ...this.findKatakana(text),
+      ...this.findBrackets(text),
+      ...this.findSpaces(text)
+    ];
+    return found.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * 文字列全体をそろえる（ルールの置換後の表記に使う）
+   * @param {string} text 文字列
+   * @returns {string} そろえた文字列
+   */
+  normalize(text) {
+    let result = '';
+    let cursor = 0;
+    for (const { start, end, replacement } of this.findAll(text)) {
+      result += text.slice(cursor, start) + replacement;
+      cursor = end;
+    }
+    return result + text.slice(cursor);
+  }
+
+  /**
+   * 全角・半角の数字と漢数字を探す
+   * @param {string} text 対象の文章
+   * @returns {Array} 変換箇所
+   */
+  findDigits(text) {
+    const found = [];
+    const mode = this.options.digits;
+    if (!mode) return found;
+
+    if (mode === 'kanji') {
+      const rule = this.getRule('digits', '縦書きの数字は漢数字にそろえる');
+      const fullWidthRule = this.getRule('digits', '縦書きで漢数字にしない数字は全角にする');
+      for (const match of text.matchAll(ANY_NUMBER)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        // 小数・桁区切り・時刻や「A4」のような記号の一部は漢数字にせず、全角にそろえる
+        if (!/^[0-9０-９]+$/.test(match[0]) || ALPHABET.test(text[start - 1] || '') || ALPHABET.test(text[end] || '')) {
+          const replacement = toFullWidth(match[0]);
+          if (replacement !== match[0]) {
+            found.push({ start, end, replacement, rule: fullWidthRule });
+          }
+          continue;
+        }
+        found.push({ start, end, replacement: toKanjiNumeral(toHalfWidth(match[0])), rule });
+      }
+      return found;
+    }
+
+    const rule = mode === 'half'
+      ? this.getRule('digits', '横書きの数字は半角にそろえる')
+      : this.getRule('digits', '数字は全角にそろえる');
+    const convert = mode === 'half' ? toHalfWidth : toFullWidth;
+    for (const match of text.matchAll(mode === 'half' ? FULL_WIDTH_NUMBER : HALF_WIDTH_NUMBER)) {
+      found.push({ start: match.index, end: match.index + match[0].length, replacement: convert(match[0]), rule });
+    }
+
+    // 助数詞の前の漢数字（「十二月」「三人」）
+    const kanjiRule = this.getRule('digits', mode === 'half' ? '横書きでは漢数字を算用数字にする' : '漢数字を算用数字にする');
+    const numerals = [];
+    const kept = new Set();
+    const matches = [...text.matchAll(KANJI_NUMERAL)];
+    for (let i = 0; i < matches.length; i++) {
+      // 範囲の両端（「三～四人」の「三」と「四」）は、どちらも変換するか、どちらも残す
+      const unit = [matches[i]];
+      let end = matches[i].index + matches[i][0].length;
+      while (RANGE_MARKS.includes(text[end] || '\0') && matches[i + 1]?.index === end + 1) {
+        unit.push(matches[++i]);
+        end = matches[i].index + matches[i][0].length;
+      }
+      const start = unit[0].index;
+
+      const counter = this.counters.find(candidate => text.startsWith(candidate, end));
+      if (!counter) continue;
+      if (unit.some(match => APPROXIMATE_PREFIXES.includes(text[match.index - 1]) && KANJI_UNITS[match[0][0]])) continue;
+      if (FIXED_EXPRESSIONS.some(expression => text.startsWith(expression, start))) continue;
+
+      // 「一日も早く」「一人ひとり」など、単独の「一」は数量を表さないことが多い（「一月」「四月一日」は日付として変換する）。
+      // 同じ文で同じ助数詞の数字（「一年生と二年生」の「二」）も漢数字のまま残し、書き方が混じらないようにする
+      const key = `${getSentenceStart(text, start)}:${counter}`;
+      const date = counter === '月' || (counter === '日' && MONTH_BEFORE.test(text.slice(0, start)));
+      if (unit.some(match => match[0] === '一') && !date) {
+        kept.add(key);
+        continue;
+      }
+
+      const values = unit.map(match => parseKanjiNumeral(match[0]));
+      if (values.includes(null)) continue;
+      unit.forEach((match, index) => numerals.push({
+        key,
+        start: match.index,
+        end: match.index + match[0].length,
+        replacement: convert(values[index]),
+        rule: kanjiRule
+      }));
+    }
+    found.push(...numerals.filter(numeral => !kept.has(numeral.key)).map(({ key, ...numeral }) => numeral));
+
+    return found;
+  }
+
+  /**
+   * 全角・半角のアルファベットを探す
+   * @param {string} text 対象の文章
+   * @returns {Array} 変換箇所
+   */
+  findAlphabet(text) {
+    const mode = this.options.alphabet;
+    if (!mode) return [];
+
+    const rule = this.getRule('alphabet', mode === 'half' ? 'アルファベットは半角にそろえる' : 'アルファベットは全角にそろえる');
+    const pattern = mode === 'half' ? /[Ａ-Ｚａ-ｚ]+/g : /[A-Za-z]+/g;
+    const convert = mode === 'half' ? toHalfWidth : toFullWidth;
+    return [...text.matchAll(pattern)].map(match => ({
+      start: match.index,
+      end: match.index + match[0].length,
+      replacement: convert(match[0]),
+      rule
+    }));
+  }
+
+  /**
+   * 半角カタカナを探す
+   * @param {string} text 対象の文章
+   * @returns {Array} 変換箇所
+   */
+  findKatakana(text) {
+    if (!this.options.katakana) return [];
+
+    const rule = this.getRule('katakana', '半角カタカナは全角にする');
+    // 濁点・半濁点は前の文字と合わせて1文字にする（ｶﾞ → ガ）
+    return [...text.matchAll(/[｡-ﾟ]+/g)].map(match => ({
+      start: match.index,
+      end: match.index + match[0].length,
+      replacement: match[0].normalize('NFKC'),
+      rule
+    }));
+  }
+
+  /**
+   * 全角・半角の括弧を探す
+   * @param {string} text 対象の文章
+   * @returns {Array} 変換箇所
+   */
+  findBrackets(text) {
+    const mode = this.options.brackets;
+    if (!mode) return [];
+
+    const found = [];
+    if (mode === 'half') {
+      const rule = this.getRule('brackets', '括弧は半角にそろえる');
+      for (const match of text.matchAll(/[（）［］]/g)) {
+        found.push({ start: match.index, end: match.index + 1, replacement: HALF_BRACKETS[FULL_BRACKETS.indexOf(match[0])], rule });
+      }
+      return found;
+    }
+
+    // 「f(x)」のように中身も前後も半角だけの括弧は英数字の表記として残す
+    const rule = this.getRule('brackets', '括弧は全角にそろえる');
+    for (const match of text.matchAll(/\([^()\n]*\)|\[[^[\]\n]*\]/g)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      const around = (text[start - 1] || '') + match[0] + (text[end] || '');
+      if (/^[\x00-\x7F]*$/.test(around)) continue;
+
+      found.push({ start, end: start + 1, replacement: FULL_BRACKETS[HALF_BRACKETS.indexOf(text[start])], rule });
+      found.push({ start: end - 1, end, replacement: FULL_BRACKETS[HALF_BRACKETS.indexOf(text[end - 1])], rule });
+    }
+    return found;
+  }
+
+  /**
+   * 日本語の文字の間の半角スペースを探す
+   * @param {string} text 対象の文章
+   * @returns {Array} 変換箇所
+   */
+  findSpaces(text) {
+    if (!this.options.space) return [];
+
+    // 日本語の文字に挟まれた半角スペース（「氏名 山田」）
+    const rule = this.getRule('space', '日本語の間のスペースは全角にする');
+    const found = [];
+    for (const match of text.matchAll(/ +/g)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (/[^\x00-\x7F\s]/.test(text[start - 1] || '') && /[^\x00-\x7F\s]/.test(text[end] || '')) {
+        found.push({ start, end, replacement: '　'.repeat(match[0].length), rule });
+      }
+    }
+    return found;
+  }
+}
+
+/**
+ * 位置を含む文の開始位置
+ * @param {string} text 文章
+ * @param {number} position 位置
+ * @returns {number} 文の開始位置
+ */
+function getSentenceStart(text, position) {
+  let start = 0;
+  for (const mark of SENTENCE_BREAKS) {
+    start = Math.max(start, text.lastIndexOf(mark, position - 1) + 1);
+  }
+  return start;
+}
+
+/**
+ * 全角英数字・記号を半角にする
+ * @param {string|number} text 文字列
+ * @returns {string} 半角の文字列
+ */
+function toHalfWidth(text) {
+  return String(text).replace(/[！-～]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0));
+}
+
+/**
+ * 半角英数字・記号を全角にする
+ * @param {string|number} text 文字列
+ * @returns {string} 全角の文字列
+ */
+function toFullWidth(text) {
+  return String(text).replace(/[!-~]/g, char => String.fromCharCode(char.charCodeAt(0) + 0xFEE0));
+}
+
+/**
+ * 算用数字を漢数字にする
+ * 3桁までは「十二」「百五」、4桁以上と0で始まるものは「二〇二四」のように1字ずつ置き換える
+ * @param {string} digits 半角数字
+ * @returns {string} 漢数字
+ */
+function toKanjiNumeral(digits) {
+  if (digits.length > 3 || (digits.length > 1 && digits[0] === '0')) {
+    return [...digits].map(digit => KANJI_DIGITS[digit]).join('');
+  }
+
+  const value = Number(digits);
+  if (value === 0) return KANJI_DIGITS[0];
+
+  let result = '';
+  const hundreds = Math.floor(value / 100);
+  const tens = Math.floor(value / 10) % 10;
+  const ones = value % 10;
+  if (hundreds) result += (hundreds > 1 ? KANJI_DIGITS[hundreds] : '') + '百';
+  if (tens) result += (tens > 1 ? KANJI_DIGITS[tens] : '') + '十';
+  if (ones) result += KANJI_DIGITS[ones];
+  return result;
+}
+
+/**
+ * 漢数字を数値にする（「十二」→12、「二〇二四」→2024）
+ * @param {string} numeral 漢数字
+ * @returns {number|null} 数値（「十十」のように読めない場合は null）
+ */
+function parseKanjiNumeral(numeral) {
+  if (!/[十百千]/.test(numeral)) {
+    return Number([...numeral].map(char => KANJI_DIGITS.indexOf(char)).join(''));
+  }
+  if (numeral.includes('〇')) return null;
+
+  let total = 0;
+  let digit = null;
+  let lastUnit = Infinity;
+  for (const char of numeral) {
+    const unit = KANJI_UNITS[char];
+    if (unit) {
+      if (unit >= lastUnit) return null;
+      total += (digit ?? 1) * unit;
+      digit = null;
+      lastUnit = unit;
+    } else {
+      if (digit !== null) return null;
+      digit = KANJI_DIGITS.indexOf(char);
+    }
+  }
+  return total + (digit ?? 0);
+}
@@ -0,0 +1,216 @@
+import { splitSentences } from './styleChecker.js';
+import { KanjiTable } from './kanjiTable.js';
+
+// 文字種の判定（々・〆は漢字として数える）
+const KANJI = /[一-鿿㐀-䶿豈-﫿々〆]|[\uD840-\uD87F][\uDC00-\uDFFF]/;
+const HIRAGANA = /[ぁ-ゖゝゞ]/;
+const KATAKANA = /[ァ-ヺヽヾーｦ-ﾟ]/;
+const ALPHABET = /[A-Za-zＡ-Ｚａ-ｚ]/;
+const DIGIT = /[0-9０-９]/;
+
+// 保護者向けの文書として読みやすい目安
+const READABILITY_TARGETS = {
+  sentenceLength: 40,
+  kanjiRatio: { min: 20, max: 35 },
+  commasPerSentence: 3
+};
+
+// 表外漢字の出現位置を返す上限（1字あたり）
+const MAX_POSITIONS = 20;
+
+/**
+ * 文書の統計と読みやすさ
+ * 文字種の割合、文の長さ、常用漢字の割合（表外漢字の一覧）、漢字の配当学年、読みやすさの目安を求める
+ */
+export class TextStatistics {
+  constructor() {
+    this.kanjiTable = new KanjiTable();
+  }
+
+  /**
+   * 文書を分析する
+   * @param {string} text 対象の文章
+   * @returns {Object} 統計 { characters, ratios, sentences, paragraphs, kanji, grades, readability }
+   */
+  analyze(text) {
+    const characters = { total: 0, kanji: 0, hiragana: 0, katakana: 0, alphabet: 0, digits: 0, others: 0 };
+    const kanjiCounts = new Map();
+    const nonJoyo = new Map();
+
+    let offset = 0;
+    for (const char of text) {
+      const start = offset;
+      offset += char.length;
+      if (/\s/.test(char)) continue;
+
+      characters.total++;
+      if (KANJI.test(char)) {
+        characters.kanji++;
+        kanjiCounts.set(char, (kanjiCounts.get(char) || 0) + 1);
+        if (!this.kanjiTable.isJoyo(char) && char !== '々' && char !== '〆') {
+          if (!nonJoyo.has(char)) nonJoyo.set(char, { char, count: 0, positions: [] });
+          const entry = nonJoyo.get(char);
+          entry.count++;
+          if (entry.positions.length < MAX_POSITIONS) entry.positions.push({ start, end: offset });
+        }
+      } else if (HIRAGANA.test(char)) {
+        characters.hiragana++;
+      } else if (KATAKANA.test(char)) {
+        characters.katakana++;
+      } else if (ALPHABET.test(char)) {
+        characters.alphabet++;
+      } else if (DIGIT.test(char)) {
+        characters.digits++;
+      } else {
+        characters.others++;
+      }
+    }
+
+    const percent = count => (characters.total ? Math.round(count / characters.total * 1000) / 10 : 0);
+    const ratios = {
+      kanji: percent(characters.kanji),
+      hiragana: percent(characters.hiragana),
+      katakana: percent(characters.katakana),
+      alphabet: percent(characters.alphabet),
+      digits: percent(characters.digits),
+      others: percent(characters.others)
+    };
+
+    const sentences = this.analyzeSentences(text);
+    const kanji = this.analyzeKanji(kanjiCounts, nonJoyo, characters.kanji);
+    const grades = this.analyzeGrades(kanjiCounts, characters.kanji);
+
+    return {
+      characters,
+      ratios,
+      sentences,
+      paragraphs: text.split('\n').filter(line => line.trim()).length,
+      kanji,
+      grades,
+      readability: this.evaluateReadability(ratios, sentences, kanji, grades)
+    };
+  }
+
+  /**
+   * 文の数と長さ
+   * @param {string} text 対象の文章
+   * @returns {Object} { count, averageLength, maxLength, commasPerSentence }
+   */
+  analyzeSentences(text) {
+    const lengths = [];
+    let commas = 0;
+    for (const { start, end } of splitSentences(text)) {
+      const body = text.slice(start, end);
+      lengths.push(body.replace(/\s/g, '').length);
+      commas += (body.match(/[、，]/g) || []).length;
+    }
+
+    const count = lengths.length;
+    return {
+      count,
+      averageLength: count ? Math.round(lengths.reduce((sum, length) => sum + length, 0) / count * 10) / 10 : 0,
+      maxLength: count ? Math.max(...lengths) : 0,
+      commasPerSentence: count ? Math.round(commas / count * 10) / 10 : 0
+    };
+  }
+
+  /**
+   * 常用漢字の割合と表外漢字
+   * @param {Map} kanjiCounts 漢字ごとの出現数
+   * @param {Map} nonJoyo 表外漢字ごとの出現数と位置
+   * @param {number} total 漢字の総数
+   * @returns {Object} { distinct, joyoCoverage, nonJoyo }
+   */
+  analyzeKanji(kanjiCounts, nonJoyo, total) {
+    const nonJoyoTotal = [...nonJoyo.values()].reduce((sum, entry) => sum + entry.count, 0);
+    return {
+      distinct: kanjiCounts.size,
+      // 漢字の出現数のうち常用漢字の割合（%）
+      joyoCoverage: total ? Math.round((total - nonJoyoTotal) / total * 1000) / 10 : 100,
+      nonJoyo: [...nonJoyo.values()].sort((a, b) => b.count - a.count)
+    };
+  }
+
+  /**
+   * 漢字の配当学年ごとの出現数と、何年生までに習う漢字で読めるか
+   * @param {Map} kanjiCounts 漢字ごとの出現数
+   * @param {number} total 漢字の総数
+   * @returns {Object} { distribution（1〜6、7: 中学校、nonJoyo: 表外）, requiredGrade（漢字の95%を習い終える学年） }
+   */
+  analyzeGrades(kanjiCounts, total) {
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0, 7: 0, nonJoyo: 0 };
+    for (const [char, count] of kanjiCounts) {
+      const grade = this.kanjiTable.getGrade(char);
+      if (grade) distribution[grade] += count;
+      else if (char !== '々' && char !== '〆') distribution.nonJoyo += count;
+    }
+
+    let requiredGrade = null;
+    let covered = 0;
+    for (let grade = 1; grade <= 7 && total > 0; grade++) {
+      covered += distribution[grade];
+      if (covered / total >= 0.95) {
+        requiredGrade = grade;
+        break;
+      }
+    }
+
+    return { distribution, requiredGrade: total > 0 ? requiredGrade ?? 8 : null };
+  }
+
+  /**
+   * 保護者向けの文書としての読みやすさ（0〜100）
+   * 100点から、一文の長さ・漢字の割合・読点の数・表外漢字が目安を外れた分を減点する
+   * @param {Object} ratios 文字種の割合
+   * @param {Object} sentences 文の統計
+   * @param {Object} kanji 漢字の統計
+   * @param {Object} grades 配当学年の統計
+   * @returns {Object} { score, level, grade, gradeLabel, advice }
+   */
+  evaluateReadability(ratios, sentences, kanji, grades) {
+    const { sentenceLength, kanjiRatio, commasPerSentence } = READABILITY_TARGETS;
+    const advice = [];
+    let score = 100;
+
+    if (sentences.averageLength > sentenceLength) {
+      score -= (sentences.averageLength - sentenceLength) * 1.5;
+      advice.push(`一文の平均が${sentences.averageLength}文字です。${sentenceLength}文字程度に区切ると読みやすくなります`);
+    }
+    if (ratios.kanji > kanjiRatio.max) {
+      score -= (ratios.kanji - kanjiRatio.max) * 2;
+      advice.push(`漢字の割合が${ratios.kanji}%です。${kanjiRatio.max}%以下にすると読みやすくなります`);
+    } else if (ratios.kanji > 0 && ratios.kanji < kanjiRatio.min) {
+      score -= (kanjiRatio.min - ratios.kanji);
+      advice.push(`漢字の割合が${ratios.kanji}%です。ひらがなが続くと語の切れ目が分かりにくくなります`);
+    }
+    if (sentences.commasPerSentence > commasPerSentence) {
+      score -= (sentences.commasPerSentence - commasPerSentence) * 5;
+      advice.push(`一文の読点が平均${sentences.commasPerSentence}個です`);
+    }
+    if (kanji.nonJoyo.length > 0) {
+      score -= Math.min(kanji.nonJoyo.length * 3, 20);
+      advice.push(`常用漢字表にない漢字が${kanji.nonJoyo.length}字あります（${kanji.nonJoyo.slice(0, 5).map(entry => entry.char).join('・')}など）`);
+    }
+
+    score = Math.max(0, Math.min(100, Math.round(score)));
+    return {
+      score,
+      level: score >= 80 ? '読みやすい' : score >= 60 ? '標準' : '読みにくい',
+      grade: grades.requiredGrade,
+      gradeLabel: this.describeGrade(grades.requiredGrade),
+      advice
+    };
+  }
+
+  /**
+   * 漢字を読むのに必要な学年の説明
+   * @param {number|null} grade analyzeGrades() の requiredGrade
+   * @returns {string} 説明
+   */
+  describeGrade(grade) {
+    if (grade === null) return '漢字なし';
+    if (grade <= 6) return `小学${grade}年生までに習う漢字で読める`;
+    if (grade === 7) return '中学校で習う漢字が必要';
+    return '常用漢字表にない漢字が多い';
+  }
+}
@@ -0,0 +1,91 @@
+import path from 'path';
+import { createRequire } from 'module';
+import kuromoji from 'kuromoji';
+
+const require = createRequire(import.meta.url);
+
+// kuromojiに同梱されている辞書（IPADIC）。オフラインで動作する
+const DEFAULT_DIC_PATH = path.join(path.dirname(require.resolve('kuromoji/package.json')), 'dict');
+
+/**
+ * 日本語形態素解析器
+ * ProofreadingEngine.setTokenizer() に渡す解析器は tokenize(text) で
+ * 以下と同じ形のトークン配列を返せば差し替え可能
+ */
+export class JapaneseTokenizer {
+  constructor(options = {}) {
+    this.dicPath = options.dicPath || DEFAULT_DIC_PATH;
+    this.tokenizer = null;
+    this.loading = null;
+  }
+
+  /**
+   * 辞書を読み込む（初回のみ）
+   * @returns {Promise<JapaneseTokenizer>} 読み込み済みの解析器
+   */
+  async init() {
+    if (this.tokenizer) return this;
+
+    if (!this.loading) {
+      this.loading = new Promise((resolve, reject) => {
+        kuromoji.builder({ dicPath: this.dicPath }).build((error, tokenizer) => {
+          if (error) {
+            this.loading = null;
+            reject(new Error(`形態素解析辞書の読み込みに失敗しました: ${error.message}`));
+            return;
+          }
+          this.tokenizer = tokenizer;
+          resolve(this);
+        });
+      });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * 辞書の読み込みが完了しているか
+   * @returns {boolean} 解析可能な場合true
+   */
+  isReady() {
+    return this.tokenizer !== null;
+  }
+
+  /**
+   * 文章を形態素に分割する
+   * @param {string} text 解析対象の文章
+   * @returns {Array} トークン一覧 { surface, start, end, pos, posDetail, posDetail2, baseForm, reading }
+   */
+  tokenize(text) {
+    if (!this.tokenizer) {
+      throw new Error('形態素解析器が初期化されていません');
+    }
+
+    // word_position はサロゲートペア（絵文字など）を1文字と数えるため、位置は表層形から求める
+    let cursor = 0;
+    return this.tokenizer.tokenize(text).map(token => {
+      const found = text.indexOf(token.surface_form, cursor);
+      const start = found >= 0 ? found : cursor;
+      cursor = start + token.surface_form.length;
+      return {
+        surface: token.surface_form,
+        start,
+        end: start + token.surface_form.length,
+        pos: token.pos,
+        posDetail: token.pos_detail_1,
+        posDetail2: token.pos_detail_2,
+        baseForm: token.basic_form,
+        reading: token.reading && token.reading !== '*' ? toHiragana(token.reading) : null
+      };
+    });
+  }
+}
+
+/**
+ * カタカナをひらがなに変換
+ * @param {string} text 変換対象
+ * @returns {string} ひらがな
+ */
+export function toHiragana(text) {
+  return text.replace(/[ァ-ヶ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60));
+}
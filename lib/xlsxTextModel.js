@@ -0,0 +1,431 @@
+import { decodeXml, encodeXml } from './docxTextModel.js';
+
+// 文字列（<si>・<is>）の中の文字（<t>）と、ふりがな（<rPh>）のタグ
+const STRING_TOKEN_PATTERN = /<t(\s[^>]*)?>([^<]*)<\/t>|<t(\s[^>]*)?\/>|<rPh[\s>]|<\/rPh>/g;
+// セル（<c>）。属性と中身（<f>・<v>・<is>）
+const CELL_PATTERN = /<c\s([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+
+const RELATIONSHIP_WORKSHEET = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet';
+
+/**
+ * XLSXのワークシートをブックの順に読む（xl/workbook.xml のシートと、そのリレーションシップ）
+ * @param {JSZip} zipContent XLSXのパッケージ
+ * @returns {Promise<Array>} シート { name, path, xml }
+ */
+export async function loadWorksheets(zipContent) {
+  const workbookXml = await zipContent.file('xl/workbook.xml')?.async('text');
+  if (!workbookXml) {
+    throw new Error('workbook.xmlが見つかりません');
+  }
+  const rels = await zipContent.file('xl/_rels/workbook.xml.rels')?.async('text') || '';
+
+  const targets = new Map();
+  for (const match of rels.matchAll(/<Relationship\s[^>]*>/g)) {
+    const id = /\sId="([^"]*)"/.exec(match[0])?.[1];
+    const type = /\sType="([^"]*)"/.exec(match[0])?.[1];
+    const target = /\sTarget="([^"]*)"/.exec(match[0])?.[1];
+    if (id && target && type === RELATIONSHIP_WORKSHEET) {
+      targets.set(id, target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+    }
+  }
+
+  const sheets = [];
+  for (const match of workbookXml.matchAll(/<sheet\s[^>]*>/g)) {
+    const name = decodeXml(/\sname="([^"]*)"/.exec(match[0])?.[1] || '');
+    const path = targets.get(/\sr:id="([^"]*)"/.exec(match[0])?.[1]);
+    const xml = path && await zipContent.file(path)?.async('text');
+    if (xml) sheets.push({ name, path, xml });
+  }
+  return sheets;
+}
+
+/**
+ * XLSXのセルの文字と、共有文字列（xl/sharedStrings.xml）・インライン文字列の対応
+ * セルの文字を行・シートの順につないだ文章（text）を作り、置き換えは文字の <t> だけを書き換える。
+ * 書式つきの文字列（<r>）の run にまたがる置き換えは最初の run に入れ、数式・数値のセルは変更しない。
+ * 共有文字列を複数のセルが参照している場合は、変更するセル用に文字列を追加して参照先を変える
+ */
+export class XlsxTextModel {
+  /**
+   * @param {string|undefined} sharedStringsXml xl/sharedStrings.xml
+   * @param {Array} sheets シート { name, path, xml }（loadWorksheets() の戻り値）
+   */
+  constructor(sharedStringsXml, sheets) {
+    this.sharedStringsXml = sharedStringsXml || '';
+    this.strings = [...this.sharedStringsXml.matchAll(/<si>[\s\S]*?<\/si>|<si\/>/g)]
+      .map(match => parseString(match[0], match.index));
+    this.sheets = sheets.map(sheet => ({ ...sheet, cells: this.parseCells(sheet) }));
+
+    // セルの文字をつないだ文章（行の中はタブ、行は改行、シートの間は空行で区切る）と、各セルの範囲
+    this.text = '';
+    this.spans = [];
+    this.sheets.forEach((sheet, index) => {
+      if (index > 0) this.text += '\n';
+      sheet.start = this.text.length;
+      let row = null;
+      for (const cell of sheet.cells.filter(item => item.text)) {
+        if (row !== null && cell.row !== row) this.text += '\n';
+        else if (row !== null) this.text += '\t';
+        row = cell.row;
+        this.spans.push({ start: this.text.length, end: this.text.length + cell.text.length, cell });
+        this.text += cell.text;
+      }
+      if (row !== null) this.text += '\n';
+      sheet.end = this.text.length;
+    });
+  }
+
+  /**
+   * シートごとの文章の範囲
+   * @returns {Array} シート { path, type: 'sheet', label: シート名, start, end }
+   */
+  getSheets() {
+    return this.sheets.map(sheet => ({ path: sheet.path, type: 'sheet', label: sheet.name, start: sheet.start, end: sheet.end }));
+  }
+
+  /**
+   * 文字のあるセルの番地と文字数（校正APIに渡し、指摘に location を付けるのに使う。attachCellLocations() を参照）
+   * セルの文字や見出しは文章から求められるため含めない
+   * @returns {Array} シート { name, rows: [[行番号, 列番号, 文字数, 列番号, 文字数, ...], ...] }
+   */
+  getCellIndex() {
+    return this.sheets.map(sheet => {
+      const rows = [];
+      for (const cell of sheet.cells.filter(item => item.text)) {
+        if (rows.at(-1)?.[0] !== cell.row) rows.push([cell.row]);
+        rows.at(-1).push(cell.column, cell.text.length);
+      }
+      return { name: sheet.name, rows };
+    });
+  }
+
+  /**
+   * シートのセルを読む（行・列の順）
+   * @param {Object} sheet シート { name, path, xml }
+   * @returns {Array} セル { sheet, ref, row, column, type, formula, text, string, valueStart, valueEnd, edits }
+   */
+  parseCells(sheet) {
+    const cells = [];
+    for (const match of sheet.xml.matchAll(CELL_PATTERN)) {
+      const attributes = match[1];
+      const content = match[2] || '';
+      const ref = /(?:^|\s)r="([A-Z]+)(\d+)"/.exec(attributes);
+      if (!ref) continue;
+
+      const type = /(?:^|\s)t="([^"]*)"/.exec(attributes)?.[1] || 'n';
+      const contentStart = match.index + match[0].indexOf('>') + 1;
+      const cell = {
+        sheet: sheet.name,
+        ref: ref[1] + ref[2],
+        row: Number(ref[2]),
+        column: columnNumber(ref[1]),
+        type,
+        formula: /<f[\s>/]/.test(content),
+        text: '',
+        string: null,
+        valueStart: null,
+        valueEnd: null,
+        edits: []
+      };
+
+      const value = /<v>([^<]*)<\/v>/.exec(content);
+      if (type === 's' && value) {
+        // 共有文字列の番号（<v> の中身の位置を、参照先を変えるときに使う）
+        cell.string = this.strings[Number(value[1])] || null;
+        cell.valueStart = contentStart + value.index + '<v>'.length;
+        cell.valueEnd = cell.valueStart + value[1].length;
+        if (cell.string) cell.string.refs++;
+      } else if (type === 'inlineStr') {
+        const inline = /<is>[\s\S]*?<\/is>/.exec(content);
+        if (inline) cell.string = parseString(inline[0], contentStart + inline.index);
+      } else if (type === 'str' && value && !cell.formula) {
+        // 数式のない文字列のセル（SheetJSなどが書き出す形式）は <v> の文字を書き換える
+        const start = contentStart + value.index + '<v>'.length;
+        const text = decodeXml(value[1]);
+        cell.string = { start, end: start + value[1].length, xml: value[1], text, segments: [{ tagStart: 0, tagEnd: value[1].length, tag: null, attributes: '', start: 0, text }], refs: 1 };
+      } else if (value) {
+        cell.text = decodeXml(value[1]);
+      }
+      if (cell.string) cell.text = cell.string.text;
+      cells.push(cell);
+    }
+    return cells.sort((a, b) => a.row - b.row || a.column - b.column);
+  }
+
+  /**
+   * セルの文字の一部を置き換える（位置は置き換え前のセルの文字で指定）
+   * @param {Object} cell セル
+   * @param {number} start 開始位置
+   * @param {number} end 終了位置
+   * @param {string} replacement 置換後の文字
+   * @returns {boolean} 置き換えられた場合true（文字列のセルでない、範囲が文字の外、ほかの置き換えと重なる場合false）
+   */
+  replace(cell, start, end, replacement) {
+    if (!cell.string || cell.formula || start < 0 || end > cell.text.length || start > end) return false;
+    if (cell.edits.some(edit => (start < edit.end && edit.start < end) || (start === end && edit.start === start))) {
+      return false;
+    }
+    cell.edits.push({ start, end, replacement });
+    return true;
+  }
+
+  /**
+   * 置き換えを反映したXML（変更のあったパートだけ）
+   * @returns {Object} { sharedStrings: 共有文字列のXML（変更がなければnull）, sheets: シートのパスごとのXML（Map） }
+   */
+  toXml() {
+    const stringEdits = new Map();
+    const added = [];
+    const addedIndex = new Map();
+    const sheets = new Map();
+
+    for (const sheet of this.sheets) {
+      const replacements = [];
+      for (const cell of sheet.cells.filter(item => item.edits.length > 0)) {
+        if (cell.type !== 's') {
+          // インライン文字列・数式のない文字列のセルはシートの中で書き換える
+          replacements.push({ start: cell.string.start, end: cell.string.end, xml: renderString(cell.string, cell.edits) });
+        } else if (cell.string.refs === 1) {
+          stringEdits.set(cell.string, cell.edits);
+        } else {
+          // ほかのセルも参照している共有文字列は、このセル用の文字列を追加する（同じ結果の文字列は共用する）
+          const xml = renderString(cell.string, cell.edits);
+          if (!addedIndex.has(xml)) {
+            addedIndex.set(xml, this.strings.length + added.length);
+            added.push(xml);
+          }
+          replacements.push({ start: cell.valueStart, end: cell.valueEnd, xml: String(addedIndex.get(xml)) });
+        }
+        cell.edits = [];
+      }
+      if (replacements.length > 0) sheets.set(sheet.path, splice(sheet.xml, replacements));
+    }
+
+    if (stringEdits.size === 0 && added.length === 0) return { sharedStrings: null, sheets };
+
+    let sharedStrings = splice(this.sharedStringsXml, [...stringEdits]
+      .map(([string, edits]) => ({ start: string.start, end: string.end, xml: renderString(string, edits) })));
+    if (added.length > 0) {
+      sharedStrings = sharedStrings
+        .replace(/<\/sst>\s*$/, `${added.join('')}</sst>`)
+        .replace(/(<sst\s[^>]*?uniqueCount=")\d+"/, `$1${this.strings.length + added.length}"`);
+    }
+    return { sharedStrings, sheets };
+  }
+}
+
+/**
+ * 校正結果の指摘に、指摘した箇所のセル（シート名・セル番地・行と列の見出し）を location として付ける
+ * 変更（changes）は position、校正候補（suggestions）と警告（diagnostics）は span の開始位置で求める
+ * @param {Object} result 校正結果（ProofreadingEngine.proofread() の戻り値。指摘に location を追加する）
+ * @param {string} text 校正した文章（XLSXの解析結果の text）
+ * @param {Array} cellIndex セルの索引（XlsxTextModel.getCellIndex() の戻り値）
+ * @returns {boolean} 索引が文章と合わず、location を付けられなかった場合false
+ */
+export function attachCellLocations(result, text, cellIndex) {
+  const spans = readCellIndex(text, cellIndex);
+  if (!spans) return false;
+
+  const cells = describeCells(spans);
+  const findings = [...(result.changes || []), ...(result.suggestions || []), ...(result.diagnostics || [])];
+  for (const finding of findings) {
+    const { start, end } = finding.position || finding.span;
+    // セルの末尾への挿入（句点など）は、そのセルの指摘とする
+    const cell = findCell(cells, start) || (start === end ? findCell(cells, start - 1) : null);
+    if (!cell) continue;
+    // 記号や空白を含むシート名はExcelの参照と同じく引用符で囲む（'1年 成績'!C12）
+    const sheet = /^[\p{L}\p{N}_]+$/u.test(cell.sheet) ? cell.sheet : `'${cell.sheet.replace(/'/g, "''")}'`;
+    finding.location = {
+      sheet: cell.sheet,
+      address: cell.address,
+      ref: `${sheet}!${cell.address}`,
+      rowHeader: cell.rowHeader,
+      columnHeader: cell.columnHeader
+    };
+  }
+  return true;
+}
+
+/**
+ * セルの索引から、各セルの文章の範囲を求める（XlsxTextModel の文章と同じ区切りで数える）
+ * @param {string} text 文章
+ * @param {Array} cellIndex セルの索引
+ * @returns {Array|null} セルの範囲 { start, end, cell: { sheet, ref, row, column, text } }（索引が正しくない・文章と合わない場合null）
+ */
+function readCellIndex(text, cellIndex) {
+  if (!Array.isArray(cellIndex)) return null;
+  const isCount = value => Number.isInteger(value) && value > 0;
+
+  const spans = [];
+  let position = 0;
+  for (const [index, sheet] of cellIndex.entries()) {
+    if (typeof sheet?.name !== 'string' || !Array.isArray(sheet.rows)) return null;
+    if (index > 0) position++;
+
+    for (const [rowIndex, row] of sheet.rows.entries()) {
+      if (!Array.isArray(row) || row.length < 3 || row.length % 2 === 0 || !row.every(isCount)) return null;
+      if (rowIndex > 0 && text[position++] !== '\n') return null;
+      for (let i = 1; i < row.length; i += 2) {
+        if (i > 1 && text[position++] !== '\t') return null;
+        const start = position;
+        position += row[i + 1];
+        const cell = { sheet: sheet.name, ref: columnName(row[i]) + row[0], row: row[0], column: row[i], text: text.slice(start, position) };
+        spans.push({ start, end: position, cell });
+      }
+    }
+    if (sheet.rows.length > 0 && text[position++] !== '\n') return null;
+  }
+  return position === text.length ? spans : null;
+}
+
+/**
+ * セルの位置と見出し
+ * 列見出しはシートの最初の行の同じ列のセル、行見出しは同じ行の最も左のセルの文字とする
+ * （そのセル自身と、最初の行のセルの行見出しは除く）
+ * @param {Array} spans セルの範囲 { start, end, cell }
+ * @returns {Array} セル { sheet, address: C12, row, column, rowHeader, columnHeader, start, end }
+ */
+function describeCells(spans) {
+  const headerRows = new Map();
+  const rowHeaders = new Map();
+  for (const { cell } of spans) {
+    if (!headerRows.has(cell.sheet)) headerRows.set(cell.sheet, cell.row);
+    if (!rowHeaders.has(`${cell.sheet}\t${cell.row}`)) rowHeaders.set(`${cell.sheet}\t${cell.row}`, cell);
+  }
+  const columnHeaders = new Map(spans
+    .filter(({ cell }) => cell.row === headerRows.get(cell.sheet))
+    .map(({ cell }) => [`${cell.sheet}\t${cell.column}`, cell]));
+
+  return spans.map(({ start, end, cell }) => {
+    const rowHeader = rowHeaders.get(`${cell.sheet}\t${cell.row}`);
+    const columnHeader = columnHeaders.get(`${cell.sheet}\t${cell.column}`);
+    return {
+      sheet: cell.sheet,
+      address: cell.ref,
+      row: cell.row,
+      column: cell.column,
+      rowHeader: rowHeader && rowHeader !== cell && cell.row !== headerRows.get(cell.sheet) ? rowHeader.text : null,
+      columnHeader: columnHeader && columnHeader !== cell ? columnHeader.text : null,
+      start,
+      end
+    };
+  });
+}
+
+/**
+ * 文章の位置を含むセル（セルは文章の順に並んでいるため二分探索する）
+ * @param {Array} cells セル { start, end }
+ * @param {number} position 文章の位置
+ * @returns {Object|null} セル
+ */
+function findCell(cells, position) {
+  let low = 0;
+  let high = cells.length - 1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (position < cells[middle].start) high = middle - 1;
+    else if (position >= cells[middle].end) low = middle + 1;
+    else return cells[middle];
+  }
+  return null;
+}
+
+/**
+ * 文字列（<si>・<is>）を読む。ふりがな（<rPh>）の文字は含めない
+ * @param {string} xml 文字列のXML
+ * @param {number} offset XMLの中の位置
+ * @returns {Object} 文字列 { start, end, xml, text, segments, refs }
+ */
+function parseString(xml, offset) {
+  const segments = [];
+  let text = '';
+  let phoneticDepth = 0;
+  for (const match of xml.matchAll(STRING_TOKEN_PATTERN)) {
+    if (match[0].startsWith('<rPh')) {
+      phoneticDepth++;
+    } else if (match[0] === '</rPh>') {
+      phoneticDepth = Math.max(phoneticDepth - 1, 0);
+    } else if (phoneticDepth === 0) {
+      const value = decodeXml(match[2] || '');
+      segments.push({ tagStart: match.index, tagEnd: match.index + match[0].length, tag: 't', attributes: match[1] || match[3] || '', start: text.length, text: value });
+      text += value;
+    }
+  }
+  return { start: offset, end: offset + xml.length, xml, text, segments, refs: 0 };
+}
+
+/**
+ * 置き換えを反映した文字列のXML（元の文字列は変更しない）
+ * 複数の <t> にまたがる置き換えは最初の <t> に入れ、残りの <t> からは該当部分を除く
+ * @param {Object} string 文字列
+ * @param {Array} edits 置き換え { start, end, replacement }
+ * @returns {string} XML
+ */
+function renderString(string, edits) {
+  const texts = string.segments.map(segment => segment.text);
+  for (const { start, end, replacement } of [...edits].sort((a, b) => b.start - a.start)) {
+    const affected = string.segments
+      .map((segment, index) => ({ segment, index }))
+      .filter(({ segment }) => (start === end
+        ? segment.start <= start && start <= segment.start + segment.text.length
+        : segment.text.length > 0 && segment.start < end && start < segment.start + segment.text.length));
+    if (affected.length === 0) continue;
+
+    const first = affected[0];
+    const last = affected[affected.length - 1];
+    const tail = texts[last.index].slice(end - last.segment.start);
+    texts[first.index] = texts[first.index].slice(0, start - first.segment.start) + replacement + (first === last ? tail : '');
+    if (first !== last) {
+      affected.slice(1, -1).forEach(({ index }) => { texts[index] = ''; });
+      texts[last.index] = tail;
+    }
+  }
+
+  return splice(string.xml, string.segments
+    .map((segment, index) => ({ segment, text: texts[index] }))
+    .filter(({ segment, text }) => text !== segment.text)
+    .map(({ segment, text }) => {
+      if (!segment.tag) return { start: segment.tagStart, end: segment.tagEnd, xml: encodeXml(text) };
+      let attributes = segment.attributes;
+      if (/^\s|\s$/.test(text) && !attributes.includes('xml:space')) attributes += ' xml:space="preserve"';
+      return { start: segment.tagStart, end: segment.tagEnd, xml: `<t${attributes}>${encodeXml(text)}</t>` };
+    }));
+}
+
+/**
+ * 文字列の範囲を置き換える
+ * @param {string} xml XML
+ * @param {Array} replacements 置き換え { start, end, xml }（重ならないもの）
+ * @returns {string} 置き換えたXML
+ */
+function splice(xml, replacements) {
+  let result = '';
+  let cursor = 0;
+  for (const { start, end, xml: replacement } of [...replacements].sort((a, b) => a.start - b.start)) {
+    result += xml.slice(cursor, start) + replacement;
+    cursor = end;
+  }
+  return result + xml.slice(cursor);
+}
+
+/**
+ * 列の記号を番号にする（A → 1、AA → 27）
+ * @param {string} letters 列の記号
+ * @returns {number} 列番号
+ */
+function columnNumber(letters) {
+  return [...letters].reduce((number, letter) => number * 26 + letter.charCodeAt(0) - 64, 0);
+}
+
+/**
+ * 列番号を列の記号にする（1 → A、27 → AA）
+ * @param {number} number 列番号
+ * @returns {string} 列の記号
+ */
+function columnName(number) {
+  let letters = '';
+  for (let rest = number; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+    letters = String.fromCharCode(65 + (rest - 1) % 26) + letters;
+  }
+  return letters;
+}
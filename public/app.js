@@ -3,12 +3,16 @@ class JapaneseProofreadingSystem {
         this.apiBaseUrl = window.location.origin;
         this.currentFile = null;
         this.currentResult = null; // 校正結果を保持
+        this.acceptedChangeIds = new Set(); // 採用する変更のID
+        this.previewMode = 'inline';
+        this.ruleSets = []; // 利用可能なルールセット
         this.init();
     }
 
     init() {
         this.setupEventListeners();
         this.checkApiStatus();
+        this.loadRuleSets();
     }
 
     setupEventListeners() {
@@ -36,6 +40,78 @@ class JapaneseProofreadingSystem {
         
         // ファイルダウンロード機能
         downloadDocxBtn.addEventListener('click', this.downloadFile.bind(this));
+
+        // 変更の一括採用・解除
+        document.getElementById('accept-all-btn').addEventListener('click', () => this.setAllAccepted(true));
+        document.getElementById('reject-all-btn').addEventListener('click', () => this.setAllAccepted(false));
+
+        // 差分プレビューの表示切り替え
+        document.querySelectorAll('input[name="preview-mode"]').forEach(radio => {
+            radio.addEventListener('change', (e) => {
+                this.previewMode = e.target.value;
+                this.renderPreview();
+            });
+        });
+
+        // ルールセットの切り替え
+        document.getElementById('ruleset-select').addEventListener('change', () => this.renderRuleSetOptions());
+    }
+
+    async loadRuleSets() {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/rulesets`);
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.error || 'ルールセットの取得に失敗しました');
+            }
+
+            this.ruleSets = data.ruleSets;
+
+            const select = document.getElementById('ruleset-select');
+            select.innerHTML = this.ruleSets.map(ruleSet =>
+                `<option value="${this.escapeHtml(ruleSet.id)}"${ruleSet.isDefault ? ' selected' : ''}>` +
+                `${this.escapeHtml(ruleSet.name || ruleSet.id)}（${ruleSet.rulesCount}件）</option>`
+            ).join('');
+
+            this.renderRuleSetOptions();
+        } catch (error) {
+            console.error('Rule set loading failed:', error);
+        }
+    }
+
+    renderRuleSetOptions() {
+        const primaryId = document.getElementById('ruleset-select').value;
+        const primary = this.ruleSets.find(ruleSet => ruleSet.id === primaryId);
+        document.getElementById('ruleset-description').textContent = primary?.description || '';
+
+        // 併用ルールは選択中のものを除いて表示（チェック状態は保持）
+        const checked = new Set(this.getExtraRuleSetIds());
+        const others = this.ruleSets.filter(ruleSet => ruleSet.id !== primaryId);
+
+        document.getElementById('ruleset-extra-list').innerHTML = others.map(ruleSet => `
+            <label class="inline-flex items-center">
+                <input type="checkbox" class="ruleset-extra-checkbox mr-1" value="${this.escapeHtml(ruleSet.id)}"${checked.has(ruleSet.id) ? ' checked' : ''}>
+                ${this.escapeHtml(ruleSet.name || ruleSet.id)}
+            </label>
+        `).join('');
+        document.getElementById('ruleset-extra').classList.toggle('hidden', others.length === 0);
+    }
+
+    getExtraRuleSetIds() {
+        return Array.from(document.querySelectorAll('.ruleset-extra-checkbox:checked')).map(checkbox => checkbox.value);
+    }
+
+    getSelectedRuleSet() {
+        // 優先度の高い順にカンマ区切りで送る
+        const primaryId = document.getElementById('ruleset-select').value;
+        return [primaryId, ...this.getExtraRuleSetIds()].filter(Boolean).join(',');
+    }
+
+    getTargetGrade() {
+        // 学年別漢字の確認（未選択ならnull）
+        const value = document.getElementById('target-grade').value;
+        return value ? Number(value) : null;
     }
 
     async checkApiStatus() {
@@ -164,7 +240,9 @@ class JapaneseProofreadingSystem {
 
             // Step 2: 校正処理
             this.updateProgress(75, '文章を校正中...');
-            const proofreadResult = await this.proofreadText(parseResult.text);
+            const ruleSet = this.getSelectedRuleSet();
+            const targetGrade = this.getTargetGrade();
+            const proofreadResult = await this.proofreadText(parseResult.text, ruleSet, targetGrade, parseResult.metadata?.cellIndex);
 
             if (!proofreadResult.success) {
                 throw new Error(proofreadResult.error || '校正処理に失敗しました');
@@ -175,7 +253,13 @@ class JapaneseProofreadingSystem {
             await this.delay(500);
             
             this.hideProgress();
-            this.showResults(parseResult, proofreadResult.result);
+            this.showResults(parseResult, proofreadResult.result, ruleSet, targetGrade);
+
+            // 統計は校正結果の表示を妨げないよう、失敗しても続ける
+            const analysis = await this.analyzeText(parseResult.text);
+            if (analysis.success) {
+                this.showStatistics(analysis.statistics);
+            }
 
         } catch (error) {
             console.error('Processing error:', error);
@@ -196,7 +280,7 @@ class JapaneseProofreadingSystem {
         return await response.json();
     }
 
-    async proofreadText(text) {
+    async proofreadText(text, ruleSet, targetGrade, cellIndex) {
         console.log('=== PROOFREADING DEBUG ===');
         console.log('Input text:', text);
         
@@ -205,7 +289,8 @@ class JapaneseProofreadingSystem {
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ text })
+            // XLSXのセルの索引を渡すと、指摘ごとに location（シート名・セル番地）が付く
+            body: JSON.stringify({ text, ruleSet, targetGrade, cellIndex })
         });
 
         const result = await response.json();
@@ -218,7 +303,63 @@ class JapaneseProofreadingSystem {
         return result;
     }
 
-    showResults(parseResult, proofreadResult) {
+    async analyzeText(text) {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/analyze`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ text })
+            });
+            return await response.json();
+        } catch (error) {
+            console.error('Analyze error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    showStatistics(statistics) {
+        const { ratios, sentences, kanji, readability } = statistics;
+
+        document.getElementById('readability-score').textContent = readability.score;
+        document.getElementById('readability-level').textContent = readability.level;
+
+        const segments = [
+            ['漢字', ratios.kanji, 'bg-red-400'],
+            ['ひらがな', ratios.hiragana, 'bg-blue-400'],
+            ['カタカナ', ratios.katakana, 'bg-green-400'],
+            ['英数字', ratios.alphabet + ratios.digits, 'bg-yellow-400'],
+            ['記号など', ratios.others, 'bg-gray-300']
+        ];
+        document.getElementById('char-distribution').innerHTML = segments
+            .filter(([, ratio]) => ratio > 0)
+            .map(([label, ratio, color]) => `<div class="${color}" style="width: ${ratio}%" title="${label} ${ratio}%"></div>`)
+            .join('');
+
+        const nonJoyo = kanji.nonJoyo.map(entry => entry.char).join('');
+        const details = [
+            ['漢字', `${ratios.kanji}%`],
+            ['ひらがな', `${ratios.hiragana}%`],
+            ['カタカナ', `${ratios.katakana}%`],
+            ['英数字', `${Math.round((ratios.alphabet + ratios.digits) * 10) / 10}%`],
+            ['文の数', `${sentences.count}文`],
+            ['一文の平均', `${sentences.averageLength}文字（最長${sentences.maxLength}文字）`],
+            ['常用漢字の割合', `${kanji.joyoCoverage}%`],
+            ['漢字の学年', readability.gradeLabel],
+            ['表外漢字', nonJoyo ? `${kanji.nonJoyo.length}字（${this.truncate(nonJoyo, 20)}）` : 'なし']
+        ];
+        document.getElementById('statistics-details').innerHTML = details
+            .map(([label, value]) => `<div class="text-gray-500">${label}</div><div>${this.escapeHtml(value)}</div>`)
+            .join('');
+
+        document.getElementById('readability-advice').innerHTML = readability.advice
+            .map(advice => `<li>${this.escapeHtml(advice)}</li>`)
+            .join('');
+        document.getElementById('statistics-area').classList.remove('hidden');
+    }
+
+    showResults(parseResult, proofreadResult, ruleSet, targetGrade) {
         const noResult = document.getElementById('no-result');
         const statsArea = document.getElementById('correction-stats');
         const downloadSection = document.getElementById('download-section');
@@ -227,25 +368,34 @@ class JapaneseProofreadingSystem {
         // 結果を保存（ダウンロード用）
         this.currentResult = {
             parseResult,
-            proofreadResult
+            proofreadResult,
+            ruleSet,
+            targetGrade
         };
 
+        // 初期状態では、採用されていない変更（学年別漢字など accepted: false）を除いてすべて採用
+        this.acceptedChangeIds = new Set(proofreadResult.changes.filter(change => change.accepted !== false).map(change => change.id));
+
         noResult.classList.add('hidden');
         
         // 統計情報
         document.getElementById('changes-count').textContent = proofreadResult.totalChanges;
         document.getElementById('original-length').textContent = parseResult.text.length.toLocaleString();
         document.getElementById('tables-count').textContent = parseResult.metadata?.tables || 0;
+        this.showPartsSummary(parseResult.metadata?.parts || [], proofreadResult.changes);
         statsArea.classList.remove('hidden');
 
         // ダウンロードセクションを表示
         downloadSection.classList.remove('hidden');
 
-        // 変更一覧
+        // 変更一覧と差分プレビュー
         if (proofreadResult.changes.length > 0) {
             this.showChangesList(proofreadResult.changes);
             changesArea.classList.remove('hidden');
+            document.getElementById('preview-area').classList.remove('hidden');
         }
+        this.updateSelectionState();
+        this.showDiagnostics(proofreadResult.diagnostics || []);
 
         console.log('=== RESULTS DISPLAY DEBUG ===');
         console.log('Parse result:', parseResult);
@@ -265,29 +415,290 @@ class JapaneseProofreadingSystem {
         const changesList = document.getElementById('changes-list');
         changesList.innerHTML = '';
 
+        // カテゴリごと（XLSXはシートごと）にまとめて表示（出現順）
+        const groups = new Map();
         changes.forEach((change, index) => {
-            console.log(`Change ${index + 1}:`, change);
-            const changeItem = document.createElement('div');
-            changeItem.className = 'bg-yellow-50 border-l-4 border-yellow-400 p-3 rounded';
-            
-            changeItem.innerHTML = `
-                <div class="flex justify-between items-start">
-                    <div class="flex-1">
-                        <div class="text-sm font-medium text-gray-900">
-                            ${index + 1}. ${change.rule.category}
-                        </div>
-                        <div class="mt-1 text-sm text-gray-600">
-                            <span class="line-through text-red-600">${change.original}</span>
-                            <i class="fas fa-arrow-right mx-2 text-gray-400"></i>
-                            <span class="text-green-600 font-medium">${change.corrected}</span>
+            const group = this.getChangeGroup(change);
+            if (!groups.has(group)) {
+                groups.set(group, []);
+            }
+            groups.get(group).push({ change, index });
+        });
+
+        groups.forEach((items, groupName) => {
+            const group = document.createElement('div');
+            group.className = 'space-y-2';
+
+            const header = document.createElement('label');
+            header.className = 'flex items-center text-sm font-semibold text-gray-700 cursor-pointer';
+            header.innerHTML = `
+                <input type="checkbox" class="category-checkbox mr-2" data-group="${this.escapeHtml(groupName)}">
+                ${this.escapeHtml(items[0].change.location ? `シート「${groupName}」` : groupName)}（${items.length}件）をすべて採用
+            `;
+            header.querySelector('input').addEventListener('change', (e) => {
+                items.forEach(({ change }) => this.setChangeAccepted(change.id, e.target.checked));
+                this.updateSelectionState();
+            });
+            group.appendChild(header);
+
+            items.forEach(({ change, index }) => {
+                console.log(`Change ${index + 1}:`, change);
+                const changeItem = document.createElement('div');
+                changeItem.className = 'change-item bg-yellow-50 border-l-4 border-yellow-400 p-3 rounded';
+                changeItem.dataset.changeId = change.id;
+                
+                changeItem.innerHTML = `
+                    <div class="flex justify-between items-start">
+                        <input type="checkbox" class="change-checkbox mt-1 mr-3" data-change-id="${this.escapeHtml(change.id)}">
+                        <div class="flex-1 cursor-pointer change-summary">
+                            <div class="text-sm font-medium text-gray-900">
+                                ${index + 1}. ${this.escapeHtml(change.rule.category)}
+                                ${this.describeLocation(change) ? `<span class="ml-2 text-xs font-normal text-gray-500">${this.escapeHtml(this.describeLocation(change))}</span>` : ''}
+                            </div>
+                            <div class="mt-1 text-sm text-gray-600">
+                                ${change.original ? `<span class="line-through text-red-600">${this.escapeHtml(change.original)}</span>` : '<span class="text-gray-400">（挿入）</span>'}
+                                <i class="fas fa-arrow-right mx-2 text-gray-400"></i>
+                                ${change.alternatives
+                                    ? `<select class="change-candidate border border-gray-300 rounded px-1 text-green-600 font-medium">${[change.corrected, ...change.alternatives].map(candidate =>
+                                        `<option value="${this.escapeHtml(candidate)}">${this.escapeHtml(candidate)}</option>`).join('')}</select>`
+                                    : `<span class="text-green-600 font-medium">${this.escapeHtml(change.corrected)}</span>`}
+                            </div>
+                            ${change.rule.note ? `<div class="mt-1 text-xs text-gray-500">${this.escapeHtml(change.rule.note)}</div>` : ''}
+                            ${change.decidedBy ? `<div class="mt-1 text-xs text-blue-600">判定: ${change.decidedBy.map(item => this.escapeHtml(item.message)).join(' / ')}</div>` : ''}
                         </div>
-                        ${change.rule.note ? `<div class="mt-1 text-xs text-gray-500">${change.rule.note}</div>` : ''}
                     </div>
+                `;
+
+                changeItem.querySelector('.change-checkbox').addEventListener('change', (e) => {
+                    this.setChangeAccepted(change.id, e.target.checked);
+                    this.updateSelectionState();
+                });
+                // 代替候補（ふりがななど）を選ぶと、その表記で置き換える
+                changeItem.querySelector('.change-candidate')?.addEventListener('change', (e) => {
+                    change.corrected = e.target.value;
+                    this.renderPreview();
+                });
+                changeItem.querySelector('.change-candidate')?.addEventListener('click', (e) => e.stopPropagation());
+                // クリックでプレビュー内の該当箇所へ移動
+                changeItem.querySelector('.change-summary').addEventListener('click', () => this.scrollToPreview(change.id));
+                
+                group.appendChild(changeItem);
+            });
+
+            changesList.appendChild(group);
+        });
+    }
+
+    showDiagnostics(diagnostics) {
+        const area = document.getElementById('diagnostics-area');
+        if (diagnostics.length === 0) {
+            area.classList.add('hidden');
+            return;
+        }
+
+        document.getElementById('diagnostics-count').textContent = `（${diagnostics.length}件）`;
+        document.getElementById('diagnostics-list').innerHTML = diagnostics.map(diagnostic => `
+            <div class="p-2 rounded border border-yellow-200 bg-yellow-50">
+                <div class="text-yellow-800">${this.escapeHtml(diagnostic.message)}</div>
+                <div class="mt-1 text-xs text-gray-600">${this.escapeHtml(this.truncate(diagnostic.text, 60))}</div>
+            </div>
+        `).join('');
+        area.classList.remove('hidden');
+    }
+
+    getChangeGroup(change) {
+        return change.location ? change.location.sheet : change.rule.category;
+    }
+
+    describeLocation(change) {
+        // XLSXはセル番地と見出し（「成績!C12（国語・山田）」）
+        if (change.location) {
+            const headers = [change.location.columnHeader, change.location.rowHeader].filter(Boolean).map(header => this.truncate(header, 12));
+            return headers.length > 0 ? `${change.location.ref}（${headers.join('・')}）` : change.location.ref;
+        }
+
+        // DOCXのブロック（段落・表のセル）から「段落14」「表2 行3 列1」の表示名を求める
+        const position = change.position;
+        const blocks = this.currentResult?.parseResult.metadata?.blocks || [];
+        const block = blocks.find(item => item.start <= position.start && position.start <= item.end);
+        if (!block) return '';
+        if (block.type !== 'table') return block.label;
+
+        const cell = block.rows.flatMap(row => row.cells).find(item => item.start <= position.start && position.start <= item.end);
+        return cell ? cell.label : block.label;
+    }
+
+    showPartsSummary(parts, changes) {
+        const summary = document.getElementById('parts-summary');
+        // 本文・ヘッダー・フッター・脚注（XLSXはシート）ごとの指摘数（parts の範囲で数える）
+        parts.forEach(part => {
+            part.findings = changes.filter(change => change.position.start >= part.start && change.position.start < part.end).length;
+        });
+
+        const found = parts.filter(part => part.findings > 0);
+        if (parts.length <= 1 || found.length === 0) {
+            summary.classList.add('hidden');
+            return;
+        }
+
+        summary.textContent = `指摘のあった箇所: ${found.map(part => `${part.label} ${part.findings}件`).join('、')}`;
+        summary.classList.remove('hidden');
+    }
+
+    showUnappliedChanges(unapplied, count) {
+        const area = document.getElementById('unapplied-area');
+        if (count === 0) {
+            area.classList.add('hidden');
+            return;
+        }
+
+        document.getElementById('unapplied-count').textContent = count;
+        document.getElementById('unapplied-list').innerHTML = unapplied.map(change => `
+            <li>${change.original ? `「${this.escapeHtml(change.original)}」→「${this.escapeHtml(change.corrected)}」` : `「${this.escapeHtml(change.corrected)}」を挿入`}（${this.escapeHtml(change.reason)}）</li>
+        `).join('');
+        area.classList.remove('hidden');
+    }
+
+    truncate(text, length) {
+        return text.length > length ? `${text.slice(0, length)}…` : text;
+    }
+
+    setChangeAccepted(changeId, accepted) {
+        if (accepted) {
+            this.acceptedChangeIds.add(changeId);
+        } else {
+            this.acceptedChangeIds.delete(changeId);
+        }
+    }
+
+    setAllAccepted(accepted) {
+        if (!this.currentResult) return;
+
+        this.currentResult.proofreadResult.changes.forEach(change => this.setChangeAccepted(change.id, accepted));
+        this.updateSelectionState();
+    }
+
+    /**
+     * チェックボックス・件数・プレビューを採用状態に合わせて更新
+     */
+    updateSelectionState() {
+        if (!this.currentResult) return;
+
+        const changes = this.currentResult.proofreadResult.changes;
+
+        document.querySelectorAll('.change-checkbox').forEach(checkbox => {
+            const accepted = this.acceptedChangeIds.has(checkbox.dataset.changeId);
+            checkbox.checked = accepted;
+            const item = checkbox.closest('.change-item');
+            item.classList.toggle('opacity-50', !accepted);
+        });
+
+        document.querySelectorAll('.category-checkbox').forEach(checkbox => {
+            const inGroup = changes.filter(change => this.getChangeGroup(change) === checkbox.dataset.group);
+            const acceptedCount = inGroup.filter(change => this.acceptedChangeIds.has(change.id)).length;
+            checkbox.checked = acceptedCount === inGroup.length;
+            checkbox.indeterminate = acceptedCount > 0 && acceptedCount < inGroup.length;
+        });
+
+        document.getElementById('changes-count').textContent = `${this.acceptedChangeIds.size}/${changes.length}`;
+        this.renderPreview();
+    }
+
+    /**
+     * 採用した変更の一覧（位置順）
+     */
+    getAcceptedChanges() {
+        if (!this.currentResult) return [];
+
+        return this.currentResult.proofreadResult.changes
+            .filter(change => this.acceptedChangeIds.has(change.id))
+            .sort((a, b) => a.position.start - b.position.start);
+    }
+
+    /**
+     * 採用した変更だけを元の文章に適用
+     */
+    buildAcceptedText() {
+        const originalText = this.currentResult.proofreadResult.originalText;
+        let text = '';
+        let cursor = 0;
+
+        this.getAcceptedChanges().forEach(change => {
+            text += originalText.slice(cursor, change.position.start) + change.corrected;
+            cursor = change.position.end;
+        });
+
+        return text + originalText.slice(cursor);
+    }
+
+    /**
+     * 差分プレビューを描画（インライン / 左右比較）
+     */
+    renderPreview() {
+        if (!this.currentResult) return;
+
+        const originalText = this.currentResult.proofreadResult.originalText;
+        const changes = [...this.currentResult.proofreadResult.changes].sort((a, b) => a.position.start - b.position.start);
+        const preview = document.getElementById('preview-content');
+
+        let inline = '';
+        let before = '';
+        let after = '';
+        let cursor = 0;
+
+        changes.forEach(change => {
+            const plain = this.escapeHtml(originalText.slice(cursor, change.position.start));
+            const original = this.escapeHtml(change.original);
+            const corrected = this.escapeHtml(change.corrected);
+            const accepted = this.acceptedChangeIds.has(change.id);
+
+            inline += plain;
+            before += plain;
+            after += plain;
+
+            if (accepted) {
+                inline += `<span id="preview-change-${this.escapeHtml(change.id)}"><del class="highlight-original">${original}</del><ins class="highlight-change">${corrected}</ins></span>`;
+                before += `<span class="highlight-original">${original}</span>`;
+                after += `<span class="highlight-change">${corrected}</span>`;
+            } else {
+                // 採用しない変更は元の表記のまま、指摘箇所だけ示す
+                inline += `<span id="preview-change-${this.escapeHtml(change.id)}" class="highlight-rejected" title="不採用: ${corrected}">${original}</span>`;
+                before += `<span class="highlight-rejected">${original}</span>`;
+                after += `<span class="highlight-rejected">${original}</span>`;
+            }
+
+            cursor = change.position.end;
+        });
+
+        const rest = this.escapeHtml(originalText.slice(cursor));
+
+        if (this.previewMode === 'side') {
+            preview.innerHTML = `
+                <div class="grid grid-cols-2 gap-2">
+                    <div class="whitespace-pre-wrap bg-white border rounded p-2"><div class="text-xs text-gray-500 mb-1">校正前</div>${before + rest}</div>
+                    <div class="whitespace-pre-wrap bg-white border rounded p-2"><div class="text-xs text-gray-500 mb-1">校正後</div>${after + rest}</div>
                 </div>
             `;
-            
-            changesList.appendChild(changeItem);
-        });
+        } else {
+            preview.innerHTML = `<div class="whitespace-pre-wrap">${inline + rest}</div>`;
+        }
+    }
+
+    scrollToPreview(changeId) {
+        const target = document.getElementById(`preview-change-${changeId}`);
+        if (target) {
+            target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            target.classList.add('highlight-focus');
+            setTimeout(() => target.classList.remove('highlight-focus'), 1500);
+        }
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
     }
 
     async copyToClipboard() {
@@ -296,7 +707,7 @@ class JapaneseProofreadingSystem {
             return;
         }
         
-        const correctedText = this.currentResult.proofreadResult.correctedText;
+        const correctedText = this.buildAcceptedText();
         
         try {
             await navigator.clipboard.writeText(correctedText);
@@ -336,8 +747,12 @@ class JapaneseProofreadingSystem {
     hideResults() {
         document.getElementById('no-result').classList.remove('hidden');
         document.getElementById('correction-stats').classList.add('hidden');
+        document.getElementById('statistics-area').classList.add('hidden');
+        document.getElementById('unapplied-area').classList.add('hidden');
         document.getElementById('download-section').classList.add('hidden');
         document.getElementById('changes-list-area').classList.add('hidden');
+        document.getElementById('diagnostics-area').classList.add('hidden');
+        document.getElementById('preview-area').classList.add('hidden');
     }
 
     showError(message) {
@@ -351,11 +766,27 @@ class JapaneseProofreadingSystem {
         }
 
         try {
+            // 採用した変更だけを送信
+            const acceptedChanges = this.getAcceptedChanges();
+            const correctedText = this.buildAcceptedText();
+
             const formData = new FormData();
             formData.append('file', this.currentFile);
-            formData.append('correctedText', this.currentResult.proofreadResult.correctedText);
+            formData.append('correctedText', correctedText);
             formData.append('originalText', this.currentResult.parseResult.text);
-            formData.append('changes', JSON.stringify(this.currentResult.proofreadResult.changes));
+            formData.append('changes', JSON.stringify(acceptedChanges));
+            formData.append('ruleSet', this.currentResult.ruleSet);
+            if (this.currentResult.targetGrade) {
+                formData.append('targetGrade', this.currentResult.targetGrade);
+            }
+            const furigana = document.getElementById('furigana-select').value;
+            if (furigana) {
+                formData.append('furigana', furigana);
+            }
+            const outputMode = document.getElementById('output-mode-select').value;
+            if (outputMode) {
+                formData.append(outputMode, 'true');
+            }
             
             // 正しい日本語ファイル名を送信（文字化け対策）
             formData.append('originalFileName', this.currentFile.name);
@@ -363,9 +794,9 @@ class JapaneseProofreadingSystem {
             console.log('=== DOWNLOAD DEBUG ===');
             console.log('送信ファイル名:', this.currentFile.name);
             console.log('校正前テキスト:', this.currentResult.parseResult.text);
-            console.log('校正後テキスト:', this.currentResult.proofreadResult.correctedText);
-            console.log('変更一覧:', this.currentResult.proofreadResult.changes);
-            console.log('変更件数:', this.currentResult.proofreadResult.totalChanges);
+            console.log('校正後テキスト:', correctedText);
+            console.log('変更一覧（採用分）:', acceptedChanges);
+            console.log('変更件数:', `${acceptedChanges.length}/${this.currentResult.proofreadResult.totalChanges}`);
 
             const button = document.getElementById('download-docx-btn');
             const originalText = button.innerHTML;
@@ -408,6 +839,13 @@ class JapaneseProofreadingSystem {
             
             console.log('Final filename for download:', fileName);
 
+            // 文書に反映できなかった変更を表示
+            const unapplied = response.headers.get('X-Unapplied-Changes');
+            this.showUnappliedChanges(
+                unapplied ? JSON.parse(decodeURIComponent(unapplied)) : [],
+                Number(response.headers.get('X-Unapplied-Count')) || 0
+            );
+
             // ファイルをダウンロード
             const blob = await response.blob();
             const url = window.URL.createObjectURL(blob);
@@ -0,0 +1,426 @@
+class RuleEditor {
+    constructor() {
+        this.apiBaseUrl = window.location.origin;
+        this.ruleSetId = null;
+        this.rules = []; // 選択中のルールセットの全ルール
+        this.category = null; // 絞り込み中のカテゴリ（nullはすべて）
+        this.currentRule = null; // 編集中のルール（新規の場合は空オブジェクト）
+        this.searchTimer = null;
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.loadRuleSets();
+    }
+
+    setupEventListeners() {
+        // 管理トークンはタブを閉じるまで保持する
+        const tokenInput = document.getElementById('admin-token');
+        tokenInput.value = sessionStorage.getItem('ruleAdminToken') || '';
+        tokenInput.addEventListener('change', () => {
+            sessionStorage.setItem('ruleAdminToken', tokenInput.value.trim());
+        });
+
+        document.getElementById('ruleset-select').addEventListener('change', (e) => {
+            this.ruleSetId = e.target.value;
+            this.category = null;
+            this.closeEditor();
+            this.loadRules();
+        });
+
+        // 入力のたびに検索しないよう少し待つ
+        document.getElementById('search-input').addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.renderRules(), 200);
+        });
+
+        document.getElementById('new-rule-btn').addEventListener('click', () => this.openEditor(null));
+        document.getElementById('rule-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveRule();
+        });
+        document.getElementById('delete-rule-btn').addEventListener('click', this.deleteRule.bind(this));
+        document.getElementById('test-rule-btn').addEventListener('click', this.testRule.bind(this));
+
+        // 表の取り込み・書き出し
+        document.getElementById('export-xlsx-btn').addEventListener('click', () => this.exportRuleSet('xlsx'));
+        document.getElementById('export-csv-btn').addEventListener('click', () => this.exportRuleSet('csv'));
+        document.getElementById('import-check-btn').addEventListener('click', () => this.importRuleSet(true));
+        document.getElementById('import-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.importRuleSet(false);
+        });
+
+        document.getElementById('category-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-category]');
+            if (!button) return;
+            this.category = button.dataset.category || null;
+            this.renderCategories();
+            this.renderRules();
+        });
+
+        // 一覧・衝突からルールを開く
+        document.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-rule-id]');
+            if (!item) return;
+            const rule = this.rules.find(candidate => candidate.id === item.dataset.ruleId);
+            if (rule) this.openEditor(rule);
+        });
+    }
+
+    async request(url, options = {}) {
+        const response = await fetch(`${this.apiBaseUrl}${url}`, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', ...this.getAdminHeaders() }
+        });
+        const data = await response.json();
+        if (!data.success) {
+            const error = new Error(data.error || 'リクエストに失敗しました');
+            error.details = data.details || [];
+            throw error;
+        }
+        return data;
+    }
+
+    // ルールを書き換えるAPIに送る管理トークン
+    getAdminHeaders() {
+        const token = sessionStorage.getItem('ruleAdminToken');
+        return token ? { 'X-Admin-Token': token } : {};
+    }
+
+    async loadRuleSets() {
+        try {
+            const data = await this.request('/api/rulesets');
+            const select = document.getElementById('ruleset-select');
+            select.innerHTML = data.ruleSets.map(ruleSet =>
+                `<option value="${this.escapeHtml(ruleSet.id)}"${ruleSet.isDefault ? ' selected' : ''}>` +
+                `${this.escapeHtml(ruleSet.name || ruleSet.id)}</option>`
+            ).join('');
+
+            this.ruleSetId = select.value;
+            await this.loadRules();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    async loadRules() {
+        try {
+            const data = await this.request(`/api/rules?ruleSet=${encodeURIComponent(this.ruleSetId)}`);
+            this.rules = data.rules;
+            this.renderCategories();
+            this.renderRules();
+            await this.loadConflicts();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    async loadConflicts() {
+        const data = await this.request(`/api/rules/conflicts?ruleSet=${encodeURIComponent(this.ruleSetId)}`);
+        const area = document.getElementById('conflicts-area');
+
+        if (data.conflicts.length === 0) {
+            area.classList.add('hidden');
+            return;
+        }
+
+        document.getElementById('conflicts-summary').textContent =
+            `${data.total}件（要確認 ${data.unresolved}件）`;
+
+        // 条件で使い分けられていない衝突を先に表示
+        const conflicts = [...data.conflicts].sort((a, b) => Number(a.resolved) - Number(b.resolved));
+        document.getElementById('conflicts-list').innerHTML = conflicts.map(conflict => `
+            <div class="p-2 rounded border ${conflict.resolved ? 'bg-gray-50 border-gray-200 text-gray-600' : 'bg-red-50 border-red-200 text-red-800'}">
+                <span class="text-xs px-2 py-0.5 rounded ${conflict.resolved ? 'bg-gray-200' : 'bg-red-200'} mr-1">
+                    ${conflict.type === 'duplicate' ? '重複' : '矛盾'}${conflict.resolved ? '（条件で使い分け）' : ''}
+                </span>
+                ${this.escapeHtml(conflict.message)}
+                <div class="mt-1 space-x-2">
+                    ${conflict.rules.map(rule => `
+                        <button type="button" class="text-blue-600 hover:underline" data-rule-id="${this.escapeHtml(rule.id)}">
+                            ${this.escapeHtml(rule.id)}: ${this.escapeHtml(this.describeForms(rule))} → ${this.escapeHtml(rule.correct)}
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+        area.classList.remove('hidden');
+    }
+
+    getCategories() {
+        const counts = new Map();
+        this.rules.forEach(rule => counts.set(rule.category, (counts.get(rule.category) || 0) + 1));
+        return counts;
+    }
+
+    renderCategories() {
+        const counts = this.getCategories();
+        const item = (category, label, count) => {
+            const active = (category || null) === this.category;
+            return `<button type="button" data-category="${this.escapeHtml(category)}"
+                class="w-full text-left px-2 py-1 rounded ${active ? 'bg-blue-100 text-blue-800 font-medium' : 'hover:bg-gray-100'}">
+                ${this.escapeHtml(label)} <span class="text-gray-500">(${count})</span>
+            </button>`;
+        };
+
+        document.getElementById('category-list').innerHTML = [
+            item('', 'すべて', this.rules.length),
+            ...Array.from(counts, ([category, count]) => item(category, category, count))
+        ].join('');
+
+        document.getElementById('category-options').innerHTML = Array.from(counts.keys())
+            .map(category => `<option value="${this.escapeHtml(category)}">`).join('');
+    }
+
+    getVisibleRules() {
+        const query = document.getElementById('search-input').value.trim();
+        return this.rules.filter(rule => {
+            if (this.category && rule.category !== this.category) return false;
+            if (!query) return true;
+            return [rule.reading, rule.correct, rule.note, rule.pattern, ...(rule.incorrect || [])]
+                .some(value => value && value.includes(query));
+        });
+    }
+
+    // 誤り表記（正規表現ルールはパターン）の表示用文字列
+    describeForms(rule) {
+        return rule.pattern ? `/${rule.pattern}/` : (rule.incorrect || []).join('・');
+    }
+
+    renderRules() {
+        const rules = this.getVisibleRules();
+        document.getElementById('rules-count').textContent = `${rules.length}件`;
+
+        document.getElementById('rules-list').innerHTML = rules.map(rule => {
+            const selected = this.currentRule && this.currentRule.id === rule.id;
+            return `
+                <div class="py-2 px-2 cursor-pointer ${selected ? 'bg-blue-50' : 'hover:bg-gray-50'} ${rule.enabled === false ? 'opacity-50' : ''}" data-rule-id="${this.escapeHtml(rule.id)}">
+                    <div>
+                        <span class="text-red-600 ${rule.pattern ? 'font-mono' : 'line-through'}">${this.escapeHtml(this.describeForms(rule))}</span>
+                        <i class="fas fa-arrow-right mx-1 text-gray-400"></i>
+                        <span class="text-green-700 font-medium">${this.escapeHtml(rule.correct)}</span>
+                        ${rule.enabled === false ? '<span class="text-xs text-gray-500 ml-1">（無効）</span>' : ''}
+                    </div>
+                    <div class="text-xs text-gray-500">
+                        ${this.escapeHtml(rule.id)}・${this.escapeHtml(rule.category)}${rule.reading ? `・${this.escapeHtml(rule.reading)}` : ''}${rule.note ? `・${this.escapeHtml(rule.note)}` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('') || '<p class="text-gray-500 py-4 text-center">該当するルールがありません</p>';
+    }
+
+    openEditor(rule) {
+        this.currentRule = rule || {};
+        const isNew = !rule;
+
+        document.getElementById('editor-title').textContent = isNew ? '新規ルール' : 'ルールの編集';
+        document.getElementById('editor-id').textContent = isNew ? '' : rule.id;
+        document.getElementById('field-category').value = rule?.category || this.category || '';
+        document.getElementById('field-correct').value = rule?.correct || '';
+        document.getElementById('field-incorrect').value = (rule?.incorrect || []).join('\n');
+        document.getElementById('field-pattern').value = rule?.pattern || '';
+        document.getElementById('field-reading').value = rule?.reading || '';
+        document.getElementById('field-note').value = rule?.note || '';
+        document.getElementById('field-enabled').checked = rule?.enabled !== false;
+        document.getElementById('delete-rule-btn').classList.toggle('hidden', isNew);
+        document.getElementById('test-result').classList.add('hidden');
+        this.showMessages([], []);
+
+        document.getElementById('rule-form').classList.remove('hidden');
+        this.renderRules();
+    }
+
+    closeEditor() {
+        this.currentRule = null;
+        document.getElementById('editor-title').textContent = 'ルールを選択してください';
+        document.getElementById('editor-id').textContent = '';
+        document.getElementById('rule-form').classList.add('hidden');
+    }
+
+    readForm() {
+        // 空欄の項目は null にして削除する
+        const value = id => document.getElementById(id).value.trim() || null;
+        const pattern = value('field-pattern');
+        return {
+            category: value('field-category'),
+            correct: value('field-correct'),
+            // パターンを指定したルールは誤り表記を持たない
+            incorrect: pattern ? null : document.getElementById('field-incorrect').value
+                .split('\n').map(form => form.trim()).filter(Boolean),
+            pattern,
+            reading: value('field-reading'),
+            note: value('field-note'),
+            enabled: document.getElementById('field-enabled').checked ? null : false
+        };
+    }
+
+    async saveRule() {
+        const rule = this.readForm();
+        const isNew = !this.currentRule.id;
+
+        try {
+            const data = isNew
+                ? await this.request('/api/rules', { method: 'POST', body: JSON.stringify({ ruleSet: this.ruleSetId, rule }) })
+                : await this.request(`/api/rules/${encodeURIComponent(this.currentRule.id)}`, { method: 'PUT', body: JSON.stringify({ rule }) });
+
+            await this.loadRules();
+            this.openEditor(this.rules.find(candidate => candidate.id === data.rule.id));
+            this.showMessages([], data.warnings, `${data.rule.id} を保存しました`);
+        } catch (error) {
+            this.showMessages([error.message, ...(error.details || [])], []);
+        }
+    }
+
+    async deleteRule() {
+        if (!this.currentRule?.id) return;
+        if (!confirm(`ルール ${this.currentRule.id}（${this.currentRule.correct}）を削除しますか？`)) return;
+
+        try {
+            await this.request(`/api/rules/${encodeURIComponent(this.currentRule.id)}`, { method: 'DELETE' });
+            this.closeEditor();
+            await this.loadRules();
+        } catch (error) {
+            this.showMessages([error.message, ...(error.details || [])], []);
+        }
+    }
+
+    async testRule() {
+        const text = document.getElementById('test-text').value;
+        const resultArea = document.getElementById('test-result');
+        if (!text.trim()) {
+            alert('見本の文章を入力してください');
+            return;
+        }
+
+        try {
+            const data = await this.request('/api/rules/test', {
+                method: 'POST',
+                body: JSON.stringify({
+                    ruleSet: this.ruleSetId,
+                    rule: { ...this.readForm(), id: this.currentRule.id },
+                    text
+                })
+            });
+
+            this.showMessages(data.errors, data.warnings);
+            if (!data.result) {
+                resultArea.classList.add('hidden');
+                return;
+            }
+
+            resultArea.innerHTML = `
+                <div class="bg-gray-50 border rounded p-2">
+                    <p class="text-xs text-gray-500 mb-1">校正後（${data.result.totalChanges}箇所）</p>
+                    <p class="whitespace-pre-wrap">${this.renderTestResult(data.result)}</p>
+                    ${data.result.changes.filter(change => change.decidedBy).map(change => `
+                        <p class="text-xs text-gray-500 mt-1">「${this.escapeHtml(change.original)}」: ${this.escapeHtml(change.decidedBy.map(item => item.message).join('、'))}</p>
+                    `).join('')}
+                </div>
+            `;
+            resultArea.classList.remove('hidden');
+        } catch (error) {
+            this.showMessages([error.message, ...(error.details || [])], []);
+        }
+    }
+
+    renderTestResult(result) {
+        let html = '';
+        let cursor = 0;
+        result.changes.forEach(change => {
+            html += this.escapeHtml(result.originalText.slice(cursor, change.position.start));
+            html += `<span class="highlight-original">${this.escapeHtml(change.original)}</span>`;
+            html += `<span class="highlight-change">${this.escapeHtml(change.corrected)}</span>`;
+            cursor = change.position.end;
+        });
+        return html + this.escapeHtml(result.originalText.slice(cursor));
+    }
+
+    showMessages(errors, warnings, success = '') {
+        const area = document.getElementById('editor-messages');
+        const list = (items, classes) => items.length > 0
+            ? `<ul class="p-2 rounded border ${classes} list-disc list-inside">${items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}</ul>`
+            : '';
+
+        area.innerHTML = [
+            success ? `<p class="p-2 rounded border bg-green-50 border-green-200 text-green-800">${this.escapeHtml(success)}</p>` : '',
+            list(errors, 'bg-red-50 border-red-200 text-red-800'),
+            list(warnings, 'bg-yellow-50 border-yellow-200 text-yellow-800')
+        ].join('');
+        area.classList.toggle('hidden', !area.innerHTML);
+    }
+
+    exportRuleSet(format) {
+        window.location.href = `${this.apiBaseUrl}/api/rulesets/${encodeURIComponent(this.ruleSetId)}/export?format=${format}`;
+    }
+
+    async importRuleSet(dryRun) {
+        const file = document.getElementById('import-file').files[0];
+        const id = document.getElementById('import-id').value.trim();
+        if (!file || !id) {
+            alert('ファイルとIDを指定してください');
+            return;
+        }
+
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('originalFileName', file.name);
+        formData.append('id', id);
+        formData.append('name', document.getElementById('import-name').value.trim());
+        formData.append('compareWith', this.ruleSetId);
+        formData.append('dryRun', String(dryRun));
+        formData.append('overwrite', String(document.getElementById('import-overwrite').checked));
+
+        const response = await fetch(`${this.apiBaseUrl}/api/rulesets/import`, {
+            method: 'POST',
+            headers: this.getAdminHeaders(),
+            body: formData
+        });
+        const data = await response.json();
+        const area = document.getElementById('import-report');
+
+        if (!data.success) {
+            area.innerHTML = `<p class="p-2 rounded border bg-red-50 border-red-200 text-red-800">${this.escapeHtml(data.error)}</p>`;
+            area.classList.remove('hidden');
+            return;
+        }
+
+        const { report } = data;
+        const conflicts = [...report.conflicts, ...report.existingConflicts].filter(conflict => !conflict.resolved);
+        const lines = [
+            ...report.errors.map(error => `[エラー] ${error.row}行目: ${error.message}`),
+            ...report.duplicates.map(duplicate => `[重複] ${duplicate.row}行目の「${duplicate.form}」は${duplicate.firstRow}行目と同じため除きました`),
+            ...conflicts.map(conflict => `[衝突] ${conflict.message}（${conflict.rules.map(rule => rule.row ? `${rule.row}行目` : rule.id).join('・')}）`)
+        ];
+
+        area.innerHTML = `
+            <div class="p-2 rounded border ${lines.length > 0 ? 'bg-yellow-50 border-yellow-200' : 'bg-green-50 border-green-200'}">
+                <p class="font-medium">${report.rows}行から${report.imported}件のルール${dryRun ? '（確認のみ）' : 'を取り込みました'}</p>
+                <ul class="list-disc list-inside">${lines.map(line => `<li>${this.escapeHtml(line)}</li>`).join('')}</ul>
+            </div>
+        `;
+        area.classList.remove('hidden');
+
+        if (!dryRun) {
+            await this.loadRuleSets();
+        }
+    }
+
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    showError(message) {
+        alert(`エラー: ${message}`);
+    }
+}
+
+// アプリケーション初期化
+document.addEventListener('DOMContentLoaded', () => {
+    new RuleEditor();
+});
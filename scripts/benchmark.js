@@ -0,0 +1,79 @@
+// 校正エンジンの処理速度を計測するベンチマーク
+//
+// 使い方:
+//   npm run bench -- [--size 10] [--extra-rules 5000] [--tokenizer]
+//     --size         サンプル文書の大きさ（MB、既定 10）
+//     --extra-rules  計測用に追加する架空のルール数（大規模な表記辞書を想定）
+//     --tokenizer    形態素解析を有効にして計測する
+import { performance } from 'perf_hooks';
+import { ProofreadingEngine } from '../lib/proofreadingEngine.js';
+import { JapaneseTokenizer } from '../lib/tokenizer.js';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? Number(args[index + 1]) : fallback;
+};
+
+const sizeMb = option('--size', 10);
+const extraRules = option('--extra-rules', 0);
+const useTokenizer = args.includes('--tokenizer');
+
+// 学校だより風のサンプル段落（あゆみ表記ルールに当たる語を含む）
+const SAMPLE_PARAGRAPH = [
+  '保護者の皆様には日頃より本校の教育活動にご協力を頂き、有り難うございます。',
+  '子供たちは運動会に向けて色々な練習に取組んでいます。',
+  '一人ひとりが目当てを持って、友だちと話合いながら頑張る姿が見られます。',
+  '当日は沢山の方に来て頂けると嬉しいです。お年寄りの方の為の席も用意して有ります。',
+  '更に、雨天の時は体育館で行いますので、ご了承下さい。'
+].join('\n') + '\n';
+
+/**
+ * 架空のルールを作成（既存の語と衝突しない漢字列）
+ */
+const createExtraRules = count => {
+  const rules = [];
+  for (let i = 0; i < count; i++) {
+    const code = 0x4E00 + (i * 7) % 0x5000;
+    const word = String.fromCharCode(code, 0x4E00 + (i * 13 + 5) % 0x5000, 0x3041 + i % 80);
+    rules.push({
+      category: '計測用',
+      correct: `${word}正`,
+      incorrect: [`${word}誤`],
+      reading: ''
+    });
+  }
+  return rules;
+};
+
+const formatRate = (chars, ms) => `${Math.round(chars / (ms / 1000)).toLocaleString()} 文字/秒`;
+
+const engine = new ProofreadingEngine();
+if (extraRules > 0) {
+  const started = performance.now();
+  // ルールセットの設定（正規化・句読点）を保ったまま、最も優先度の低いルールとして加える
+  engine.setRuleSets([...engine.ruleSets, { id: null, rules: createExtraRules(extraRules) }]);
+  console.log(`ルール構築: ${engine.rules.length}件 / ${(performance.now() - started).toFixed(1)} ms / ノード数 ${engine.matcher.size.toLocaleString()}`);
+}
+
+if (useTokenizer) {
+  engine.setTokenizer(await new JapaneseTokenizer().init());
+}
+
+const targetLength = Math.floor(sizeMb * 1024 * 1024 / 3); // UTF-8で1文字およそ3バイト
+const sample = SAMPLE_PARAGRAPH.repeat(Math.ceil(targetLength / SAMPLE_PARAGRAPH.length)).slice(0, targetLength);
+
+// 処理ごとのログは計測の邪魔になるため抑止する
+const log = console.log;
+console.log = () => {};
+const started = performance.now();
+const result = engine.proofread(sample);
+const elapsed = performance.now() - started;
+console.log = log;
+
+console.log('=== 校正ベンチマーク ===');
+console.log(`文書サイズ: ${sample.length.toLocaleString()} 文字 (約 ${sizeMb} MB)`);
+console.log(`ルール数: ${engine.rules.length.toLocaleString()} / 形態素解析: ${useTokenizer ? 'あり' : 'なし'}`);
+console.log(`修正箇所: ${result.totalChanges.toLocaleString()}`);
+console.log(`処理時間: ${elapsed.toFixed(1)} ms (${formatRate(sample.length, elapsed)})`);
+console.log(`メモリ使用量: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)} MB`);
@@ -0,0 +1,76 @@
+// 表記ガイドの表（XLSX/CSV）とルールセットの取り込み・書き出し
+//
+// 使い方:
+//   npm run ruleset -- import <表.xlsx|csv> --id <ID> [--name 名前] [--description 説明]
+//                         [--compare ayumi] [--dry-run] [--overwrite]
+//     --compare    既存のルールセットとの衝突も確認する
+//     --dry-run    ファイルを書き込まず、取り込み結果の報告だけを表示する
+//     --overwrite  同じIDのルールセットのルールを置き換える（表記の正規化などの設定は残す）
+//   npm run ruleset -- export <ID> <出力先.xlsx|csv>
+import fs from 'fs';
+import path from 'path';
+import { RuleSetRegistry } from '../lib/ruleSetRegistry.js';
+import { RuleSetImporter } from '../lib/ruleSetImporter.js';
+
+const [command, ...args] = process.argv.slice(2);
+const option = name => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+
+const registry = new RuleSetRegistry();
+const importer = new RuleSetImporter(registry);
+
+const printConflicts = (title, conflicts) => {
+  if (conflicts.length === 0) return;
+  console.log(`\n${title}: ${conflicts.length}件`);
+  conflicts.forEach(conflict => {
+    const rules = conflict.rules
+      .map(rule => `${rule.row ? `${rule.row}行目` : rule.id}「${rule.incorrect.join('・')} → ${rule.correct}」`)
+      .join(' / ');
+    console.log(`  ${conflict.resolved ? '（条件で使い分け）' : '[要確認]'} ${conflict.message}: ${rules}`);
+  });
+};
+
+try {
+  if (command === 'import') {
+    const filePath = args[0];
+    if (!filePath || !option('--id')) {
+      throw new Error('取り込む表のファイルと --id を指定してください');
+    }
+
+    const { ruleSet, report } = importer.import(fs.readFileSync(filePath), path.basename(filePath), {
+      id: option('--id'),
+      name: option('--name'),
+      description: option('--description'),
+      compareWith: option('--compare'),
+      dryRun: args.includes('--dry-run'),
+      overwrite: args.includes('--overwrite')
+    });
+
+    console.log(`\n${ruleSet.name}（${ruleSet.id}）: ${report.rows}行から${report.imported}件のルール`);
+    report.errors.forEach(error => console.log(`  [エラー] ${error.row}行目: ${error.message}`));
+    report.duplicates.forEach(duplicate =>
+      console.log(`  [重複] ${duplicate.row}行目の「${duplicate.form}」は${duplicate.firstRow}行目と同じため除きました`));
+    printConflicts('表の中の衝突', report.conflicts);
+    printConflicts('既存のルールセットとの衝突', report.existingConflicts);
+
+    console.log(args.includes('--dry-run') ? '\n（--dry-run のため書き込んでいません）' : `\n${registry.get(ruleSet.id).filePath} に書き込みました`);
+  } else if (command === 'export') {
+    const [ruleSetId, outputPath] = args;
+    if (!ruleSetId || !outputPath) {
+      throw new Error('ルールセットIDと出力先を指定してください');
+    }
+
+    const format = path.extname(outputPath).toLowerCase() === '.csv' ? 'csv' : 'xlsx';
+    const { buffer } = importer.export(ruleSetId, format);
+    fs.writeFileSync(outputPath, buffer);
+    console.log(`${outputPath} に書き出しました`);
+  } else {
+    throw new Error('import または export を指定してください');
+  }
+} catch (error) {
+  console.error(`エラー: ${error.message}`);
+  (error.details || []).forEach(detail => console.error(`  ${detail}`));
+  process.exit(1);
+}
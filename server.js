@@ -3,10 +3,17 @@ import multer from 'multer';
 import cors from 'cors';
 import helmet from 'helmet';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import { DocumentParser } from './lib/documentParser.js';
-import { ProofreadingEngine } from './lib/proofreadingEngine.js';
+import { RuleSetRegistry } from './lib/ruleSetRegistry.js';
+import { RuleManager } from './lib/ruleManager.js';
+import { RuleSetImporter } from './lib/ruleSetImporter.js';
 import { DocumentFormatter } from './lib/docxFormatter.js';
+import { FuriganaAnnotator } from './lib/furiganaAnnotator.js';
+import { JapaneseTokenizer } from './lib/tokenizer.js';
+import { TextStatistics } from './lib/textStatistics.js';
+import { attachCellLocations } from './lib/xlsxTextModel.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,6 +21,11 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// ルールを書き換えるAPI（追加・編集・削除・取り込み）の管理トークン。未設定の場合、これらのAPIは無効
+const RULES_ADMIN_TOKEN = process.env.RULES_ADMIN_TOKEN || '';
+// ルールを書き換えるAPIを呼べるほかのオリジン（カンマ区切り。既定はこのアプリと同じオリジンだけ）
+const RULES_ADMIN_ORIGINS = (process.env.RULES_ADMIN_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
 // セキュリティとCORS設定
 app.use(helmet({
   contentSecurityPolicy: {
@@ -27,7 +39,14 @@ app.use(helmet({
   },
 }));
 
-app.use(cors());
+app.use(cors((req, callback) => {
+  callback(null, {
+    // ルールを書き換えるAPIは、許可したオリジン以外からのブラウザの呼び出しを受け付けない
+    ...(isRuleWriteRequest(req) ? { origin: RULES_ADMIN_ORIGINS } : {}),
+    // ダウンロード時にファイル名と適用できなかった変更を読めるようにする
+    exposedHeaders: ['Content-Disposition', 'X-Unapplied-Count', 'X-Unapplied-Changes']
+  });
+}));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -63,8 +82,137 @@ const upload = multer({
 
 // インスタンス初期化
 const documentParser = new DocumentParser();
-const proofreadingEngine = new ProofreadingEngine();
+const ruleSetRegistry = new RuleSetRegistry();
+const ruleManager = new RuleManager(ruleSetRegistry);
+const ruleSetImporter = new RuleSetImporter(ruleSetRegistry);
 const documentFormatter = new DocumentFormatter();
+const tokenizer = new JapaneseTokenizer();
+const textStatistics = new TextStatistics();
+
+// 形態素解析辞書の読み込み（完了までは文字列一致のみで校正する）
+tokenizer.init()
+  .then(() => {
+    ruleSetRegistry.setTokenizer(tokenizer);
+    console.log('形態素解析器の準備完了');
+  })
+  .catch(error => {
+    console.error('形態素解析器の初期化に失敗しました:', error);
+  });
+
+/**
+ * リクエストのルールセット指定から校正エンジンを取得
+ * 存在しないルールセットが指定された場合は400で応答してnullを返す
+ */
+function resolveEngine(ruleSet, res) {
+  try {
+    return ruleSetRegistry.getEngine(ruleSet);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * リクエストの対象学年（学年別漢字の確認）を取得
+ * 指定がなければnull、1〜6の整数でなければ400で応答してundefinedを返す
+ */
+function resolveTargetGrade(targetGrade, res) {
+  if (targetGrade === undefined || targetGrade === null || targetGrade === '') {
+    return null;
+  }
+
+  const grade = Number(targetGrade);
+  if (!Number.isInteger(grade) || grade < 1 || grade > 6) {
+    res.status(400).json({
+      success: false,
+      error: `対象学年は1〜6で指定してください: ${targetGrade}`
+    });
+    return undefined;
+  }
+  return grade;
+}
+
+/**
+ * リクエストのふりがなの指定（'all' または学年1〜6）からふりがなの処理を作成
+ * 指定がなければnull、正しくなければ400で応答してundefinedを返す
+ */
+function resolveFurigana(furigana, ruleSet, res) {
+  if (furigana === undefined || furigana === null || furigana === '') {
+    return null;
+  }
+
+  try {
+    const rules = ruleSetRegistry.resolve(ruleSet).flatMap(id => ruleSetRegistry.get(id).rules);
+    return new FuriganaAnnotator({
+      target: furigana === 'all' ? 'all' : Number(furigana),
+      tokenizer: tokenizer.isReady() ? tokenizer : null,
+      kanjiTable: textStatistics.kanjiTable,
+      rules
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+    return undefined;
+  }
+}
+
+/**
+ * ルールを書き換えるAPI（POST・PUT・DELETE の /api/rules と /api/rulesets/import。ルールの試行は除く）へのリクエストか
+ * CORSのプリフライト（OPTIONS）は、これから送るメソッドで判定する
+ */
+function isRuleWriteRequest(req) {
+  const method = (req.method === 'OPTIONS' ? req.get('Access-Control-Request-Method') : req.method)?.toUpperCase();
+  if (!['POST', 'PUT', 'DELETE'].includes(method)) return false;
+  return (/^\/api\/rules(?:\/|$)/.test(req.path) && req.path !== '/api/rules/test') || req.path === '/api/rulesets/import';
+}
+
+/**
+ * ルールを書き換えるAPIの認可
+ * 管理トークン（RULES_ADMIN_TOKEN）が未設定なら403、X-Admin-Token ヘッダーが一致しなければ401、
+ * ほかのサイトのページから送られたリクエスト（Origin が同じオリジンでも RULES_ADMIN_ORIGINS でもない）は403で応答する
+ */
+function requireRuleAdmin(req, res, next) {
+  if (!RULES_ADMIN_TOKEN) {
+    return res.status(403).json({
+      success: false,
+      error: 'ルールの編集は無効になっています（サーバーの環境変数 RULES_ADMIN_TOKEN を設定すると有効になります）'
+    });
+  }
+
+  const origin = req.get('Origin');
+  if (origin && !RULES_ADMIN_ORIGINS.includes(origin) && getOriginHost(origin) !== req.get('Host')) {
+    return res.status(403).json({
+      success: false,
+      error: `このオリジンからはルールを編集できません: ${origin}`
+    });
+  }
+
+  const token = Buffer.from(req.get('X-Admin-Token') || '');
+  const expected = Buffer.from(RULES_ADMIN_TOKEN);
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    return res.status(401).json({
+      success: false,
+      error: '管理トークンが正しくありません'
+    });
+  }
+  next();
+}
+
+/**
+ * Origin ヘッダーのホスト（読めない場合null）
+ */
+function getOriginHost(origin) {
+  try {
+    return new URL(origin).host;
+  } catch {
+    return null;
+  }
+}
 
 // メインページ
 app.get('/', (req, res) => {
@@ -80,6 +228,14 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// ルールセット一覧API
+app.get('/api/rulesets', (req, res) => {
+  res.json({
+    success: true,
+    ruleSets: ruleSetRegistry.list()
+  });
+});
+
 // ファイル解析API
 app.post('/api/parse', upload.single('file'), async (req, res) => {
   try {
@@ -120,7 +276,7 @@ app.post('/api/parse', upload.single('file'), async (req, res) => {
 // 校正API
 app.post('/api/proofread', (req, res) => {
   try {
-    const { text } = req.body;
+    const { text, mode = 'correct', ruleSet } = req.body;
 
     if (!text || typeof text !== 'string') {
       return res.status(400).json({
@@ -129,13 +285,35 @@ app.post('/api/proofread', (req, res) => {
       });
     }
 
+    if (!['correct', 'suggest'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `不明な校正モードです: ${mode}`
+      });
+    }
+
+    const targetGrade = resolveTargetGrade(req.body.targetGrade, res);
+    if (targetGrade === undefined) return;
+
+    const engine = resolveEngine(ruleSet, res);
+    if (!engine) return;
+
     console.log('=== 校正処理開始 ===');
     console.log('テキスト長:', text.length);
+    console.log('モード:', mode);
+    console.log('ルールセット:', ruleSetRegistry.resolve(ruleSet).join(', '));
+    if (targetGrade) console.log('対象学年:', targetGrade);
 
-    const result = proofreadingEngine.proofread(text);
+    const result = engine.proofread(text, { mode, targetGrade });
+
+    // XLSXの場合、解析結果のセルの索引（metadata.cellIndex）から指摘ごとのシート名・セル番地を付ける
+    if (req.body.cellIndex !== undefined && !attachCellLocations(result, text, req.body.cellIndex)) {
+      console.warn('セルの索引が文章と合わないため、セル番地を付けませんでした');
+    }
 
     console.log('校正結果:', {
       totalChanges: result.totalChanges,
+      totalSuggestions: result.totalSuggestions,
       textLength: result.correctedText?.length || 0
     });
 
@@ -152,10 +330,88 @@ app.post('/api/proofread', (req, res) => {
   }
 });
 
+// 指摘適用API（提案モードで採用された指摘だけを反映）
+app.post('/api/apply', (req, res) => {
+  try {
+    const { text, accepted, ruleSet } = req.body;
+
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: '元のテキストが指定されていません'
+      });
+    }
+
+    if (!Array.isArray(accepted)) {
+      return res.status(400).json({
+        success: false,
+        error: '採用する指摘IDの一覧が指定されていません'
+      });
+    }
+
+    const targetGrade = resolveTargetGrade(req.body.targetGrade, res);
+    if (targetGrade === undefined) return;
+
+    const engine = resolveEngine(ruleSet, res);
+    if (!engine) return;
+
+    console.log('=== 指摘適用開始 ===');
+    console.log('テキスト長:', text.length);
+    console.log('採用件数:', accepted.length);
+
+    const result = engine.applySuggestions(text, accepted, { targetGrade });
+
+    res.json({
+      success: true,
+      result
+    });
+  } catch (error) {
+    console.error('指摘適用エラー:', error);
+    res.status(400).json({
+      success: false,
+      error: '指摘の適用に失敗しました: ' + error.message
+    });
+  }
+});
+
+// 文書統計API（文字種の割合・文の長さ・常用漢字・読みやすさ）
+app.post('/api/analyze', (req, res) => {
+  try {
+    const { text } = req.body;
+
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: '分析対象のテキストが指定されていません'
+      });
+    }
+
+    const statistics = textStatistics.analyze(text);
+
+    console.log('文書統計:', {
+      textLength: text.length,
+      kanjiRatio: statistics.ratios.kanji,
+      readability: statistics.readability.score
+    });
+
+    res.json({
+      success: true,
+      statistics
+    });
+  } catch (error) {
+    console.error('文書統計エラー:', error);
+    res.status(500).json({
+      success: false,
+      error: '文書の分析に失敗しました: ' + error.message
+    });
+  }
+});
+
 // 校正後DOCXダウンロードAPI
 app.post('/api/generate-docx', upload.single('file'), async (req, res) => {
   try {
-    const { correctedText, originalText, changes, originalFileName } = req.body;
+    const { originalText, changes, originalFileName, ruleSet, furigana, trackChanges, comments } = req.body;
+    let { correctedText } = req.body;
     
     if (!req.file) {
       return res.status(400).json({ 
@@ -164,6 +420,24 @@ app.post('/api/generate-docx', upload.single('file'), async (req, res) => {
       });
     }
 
+    const furiganaAnnotator = resolveFurigana(furigana, ruleSet, res);
+    if (furiganaAnnotator === undefined) return;
+
+    let parsedChanges = changes ? JSON.parse(changes) : null;
+
+    // 変更一覧が送られていない場合は、指定されたルールセットでここで校正する
+    if (!parsedChanges && originalText) {
+      const targetGrade = resolveTargetGrade(req.body.targetGrade, res);
+      if (targetGrade === undefined) return;
+
+      const engine = resolveEngine(ruleSet, res);
+      if (!engine) return;
+
+      const result = engine.proofread(originalText, { targetGrade });
+      parsedChanges = result.changes;
+      correctedText = result.correctedText;
+    }
+
     if (!correctedText) {
       return res.status(400).json({
         success: false,
@@ -192,18 +466,22 @@ app.post('/api/generate-docx', upload.single('file'), async (req, res) => {
     console.log('校正テキスト長:', correctedText.length);
 
     let docxBuffer;
+    let unapplied = [];
+    let parts = [];
     const extension = actualFileName.toLowerCase().split('.').pop();
     
     if (extension === 'docx' || extension === 'xlsx') {
       // DOCX/XLSXの場合：元の構造を保持して生成
-      const parsedChanges = changes ? JSON.parse(changes) : [];
-      docxBuffer = await documentFormatter.generateCorrectedFile(
+      ({ buffer: docxBuffer, unapplied, parts = [] } = await documentFormatter.generateCorrectedFile(
         req.file.buffer,
         originalText || '',
         correctedText,
-        parsedChanges,
-        extension
-      );
+        parsedChanges || [],
+        extension,
+        // 変更履歴として出力する場合は、Wordで変更ごとに承諾・却下できる
+        // コメントとして出力する場合は本文を変えずに、指摘を確認用のコメントにする
+        { furigana: furiganaAnnotator, trackChanges: trackChanges === 'true', comments: comments === 'true' }
+      ));
     } else {
       // その他の場合：新規DOCXとして生成
       docxBuffer = await documentFormatter.generateSimpleDocx(
@@ -218,14 +496,17 @@ app.post('/api/generate-docx', upload.single('file'), async (req, res) => {
     const now = new Date();
     const dateStr = `${now.getFullYear()}${(now.getMonth()+1).toString().padStart(2,'0')}${now.getDate().toString().padStart(2,'0')}`;
     const timeStr = `${now.getHours().toString().padStart(2,'0')}${now.getMinutes().toString().padStart(2,'0')}`;
-    const outputFileName = `【校正済み】${baseName}_${dateStr}_${timeStr}.${outputExtension}`;
+    const label = comments === 'true' && extension === 'docx' ? '【校正コメント】' : '【校正済み】';
+    const outputFileName = `${label}${baseName}_${dateStr}_${timeStr}.${outputExtension}`;
 
     console.log('DOCX生成完了:', {
       originalFileName: req.file.originalname,
       baseName: baseName,
       outputFileName: outputFileName,
       encodedFileName: encodeURIComponent(outputFileName),
-      size: docxBuffer.length
+      size: docxBuffer.length,
+      unapplied: unapplied.length,
+      parts: parts.map(part => `${part.label}: ${part.count}`)
     });
 
     // レスポンスヘッダーを設定（日本語ファイル名対応）
@@ -257,6 +538,12 @@ app.post('/api/generate-docx', upload.single('file'), async (req, res) => {
     // デバッグ用：代替手法も試してみる
     // res.setHeader('Content-Disposition', `attachment; filename="${outputFileName}"; filename*=UTF-8''${encodedFileName}`);
     res.setHeader('Content-Length', docxBuffer.length);
+
+    // 文書に適用できなかった変更（件数と、変更ID・表記・理由のJSON。ヘッダーが大きくなりすぎないよう先頭50件まで）
+    res.setHeader('X-Unapplied-Count', unapplied.length);
+    if (unapplied.length > 0) {
+      res.setHeader('X-Unapplied-Changes', encodeURIComponent(JSON.stringify(unapplied.slice(0, 50))));
+    }
     
     res.send(docxBuffer);
 
@@ -269,6 +556,194 @@ app.post('/api/generate-docx', upload.single('file'), async (req, res) => {
   }
 });
 
+/**
+ * ルール管理APIのエラー応答（検証エラーは400、見つからない場合は404）
+ */
+function sendRuleError(res, error) {
+  if (!error.status) {
+    console.error('ルール管理エラー:', error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+    details: error.details || []
+  });
+}
+
+// ルールセット取り込みAPI（表記ガイドの表 XLSX/CSV から新しいルールセットを作成）
+// 確認のみ（dryRun）はルールセットを書き換えないため、管理トークンなしで使える
+app.post('/api/rulesets/import', upload.single('file'), (req, res, next) => {
+  if (req.body.dryRun === 'true') return next();
+  requireRuleAdmin(req, res, next);
+}, (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'ファイルが選択されていません'
+      });
+    }
+
+    const { id, name, description, compareWith, dryRun, overwrite, originalFileName } = req.body;
+    const { ruleSet, report } = ruleSetImporter.import(req.file.buffer, originalFileName || req.file.originalname, {
+      id,
+      name,
+      description,
+      compareWith,
+      dryRun: dryRun === 'true',
+      overwrite: overwrite === 'true'
+    });
+
+    res.status(dryRun === 'true' ? 200 : 201).json({
+      success: true,
+      ruleSet,
+      report
+    });
+  } catch (error) {
+    sendRuleError(res, error);
+  }
+});
+
+// ルールセット書き出しAPI（取り込みと同じ列構成の XLSX/CSV）
+app.get('/api/rulesets/:id/export', (req, res) => {
+  try {
+    const { buffer, fileName, contentType } = ruleSetImporter.export(req.params.id, req.query.format || 'xlsx');
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+    res.send(buffer);
+  } catch (error) {
+    sendRuleError(res, error);
+  }
+});
+
+// ルール一覧・検索API
+app.get('/api/rules', (req, res) => {
+  try {
+    const { ruleSet, q, category, enabled } = req.query;
+    const rules = ruleManager.list({
+      ruleSet,
+      query: q,
+      category,
+      enabled: enabled === undefined ? undefined : enabled === 'true'
+    });
+
+    res.json({
+      success: true,
+      total: rules.length,
+      rules
+    });
+  } catch (error) {
+    sendRuleError(res, error);
+  }
+});
+
+// ルールの衝突検出API（同じ誤り表記を持つルール、互いに修正し合うルール）
+app.get('/api/rules/conflicts', (req, res) => {
+  const engine = resolveEngine(req.query.ruleSet, res);
+  if (!engine) return;
+
+  const conflicts = engine.findConflicts();
+  res.json({
+    success: true,
+    total: conflicts.length,
+    unresolved: conflicts.filter(conflict => !conflict.resolved).length,
+    conflicts
+  });
+});
+
+// 保存前のルールを見本の文章で試すAPI
+app.post('/api/rules/test', (req, res) => {
+  try {
+    const { ruleSet, rule, text } = req.body;
+    if (!rule || typeof rule !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: '試すルールが指定されていません'
+      });
+    }
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: '見本の文章が指定されていません'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...ruleManager.test(ruleSet, rule, text)
+    });
+  } catch (error) {
+    sendRuleError(res, error);
+  }
+});
+
+// ルール取得API
+app.get('/api/rules/:id', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      rule: ruleManager.get(req.params.id)
+    });
+  } catch (error) {
+    sendRuleError(res, error);
+  }
+});
+
+// ルール追加API
+app.post('/api/rules', requireRuleAdmin, (req, res) => {
+  try {
+    const { ruleSet, rule } = req.body;
+    if (!rule || typeof rule !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: '追加するルールが指定されていません'
+      });
+    }
+
+    const result = ruleManager.create(ruleSet, rule);
+    res.status(201).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    sendRuleError(res, error);
+  }
+});
+
+// ルール編集API（{ "rule": { "enabled": false } } で無効化）
+app.put('/api/rules/:id', requireRuleAdmin, (req, res) => {
+  try {
+    const { rule } = req.body;
+    if (!rule || typeof rule !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: '変更内容が指定されていません'
+      });
+    }
+
+    const result = ruleManager.update(req.params.id, rule);
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    sendRuleError(res, error);
+  }
+});
+
+// ルール削除API
+app.delete('/api/rules/:id', requireRuleAdmin, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      rule: ruleManager.remove(req.params.id)
+    });
+  } catch (error) {
+    sendRuleError(res, error);
+  }
+});
+
 // 404ハンドラー
 app.use('*', (req, res) => {
   res.status(404).json({ 
@@ -289,7 +764,7 @@ app.use((error, req, res, next) => {
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 日本語校正システム起動`);
   console.log(`📍 URL: http://localhost:${PORT}`);
-  console.log(`📋 API: /api/health, /api/parse, /api/proofread, /api/generate-docx (DOCX/XLSX対応)`);
+  console.log(`📋 API: /api/health, /api/rulesets, /api/parse, /api/proofread, /api/apply, /api/analyze, /api/rules, /api/generate-docx (DOCX/XLSX対応)`);
   console.log(`⏰ 起動時刻: ${new Date().toLocaleString('ja-JP')}`);
   console.log(`🌍 環境: ${process.env.NODE_ENV || 'development'}`);
 });
\ No newline at end of file